@@ -5,14 +5,248 @@ const express = require('express');
 const bodyParser = require('body-parser');
 const getParamNames = require('get-parameter-names');
 const forEach = require('lodash').forEach;
+const isPlainObject = require('lodash').isPlainObject;
+const isEqual = require('lodash').isEqual;
+const cloneDeep = require('lodash').cloneDeep;
+const escapeRegExp = require('lodash').escapeRegExp;
+const url = require('url');
+const http = require('http');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const stream = require('stream');
+const StringDecoder = require('string_decoder').StringDecoder;
 
 mongoose.Promise = global.Promise;
 
+/**
+ * Query operators allowed by default, note that `$where`, `$expr` and `$regex` are not allowed
+ * @type {Array}
+ */
+const DEFAULT_OPERATORS = [
+    '$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$in', '$nin',
+    '$and', '$or', '$nor', '$not', '$exists', '$type', '$all', '$size', '$elemMatch'
+];
+
+
+/**
+ * Action routes: [http method, action, route path, middleware action, action route setting is inherited from]
+ * @type {Array}
+ */
+const ROUTES = [
+    ['get', 'count', '/count', 'count'],
+    ['post', 'insertMany', '/_bulk', 'create', 'create'],
+    ['patch', 'updateMany', '/_bulk', 'update', 'update'],
+    ['delete', 'deleteMany', '/_bulk', 'delete', 'delete'],
+    ['post', 'import', '/_import', 'create', 'create'],
+    ['get', 'aggregate', '/_aggregate', 'aggregate'],
+    ['get', 'search', '/_search', 'find'],
+    ['get', 'events', '/_events', 'find'],
+    ['get', 'trash', '/_trash', 'trash'],
+    ['post', 'restore', '/:id/_restore', 'delete', 'delete'],
+    ['delete', 'purge', '/:id/_purge', 'purge'],
+    ['get', 'history', '/:id/_history', 'find'],
+    ['post', 'revert', '/:id/_revert/:rev', 'update', 'update'],
+    ['get', 'findOne', '/:id', 'find'],
+    ['get', 'find', '', 'find'],
+    ['post', 'create', '', 'create'],
+    ['put', 'create', '', 'create'],
+    ['post', 'update', '/:id', 'update'],
+    ['patch', 'patch', '/:id', 'update'],
+    ['put', 'replace', '/:id', 'update'],
+    ['delete', 'delete', '/:id', 'delete']
+];
+
+/**
+ * Interval of comment messages keeping event streams alive, ms
+ * @type {Number}
+ */
+const EVENTS_KEEP_ALIVE = 15000;
+
+/**
+ * Query operators supported by in-process filter of event stream
+ * @type {Array}
+ */
+const MATCH_OPERATORS = DEFAULT_OPERATORS.concat(['$regex', '$options']);
+
+/**
+ * Aggregation pipeline stages allowed by default
+ * @type {Array}
+ */
+const AGGREGATE_STAGES = ['$match', '$group', '$sort', '$limit', '$project'];
+
+/**
+ * Group accumulators allowed by default
+ * @type {Array}
+ */
+const AGGREGATE_ACCUMULATORS = ['$sum', '$avg', '$min', '$max'];
+
+/**
+ * Routes available in soft delete mode only
+ * @type {Array}
+ */
+const SOFT_DELETE_ACTIONS = ['trash', 'restore', 'purge'];
+
+/**
+ * Keys never written from request data as they reach object prototypes
+ * @type {Array}
+ */
+const UNSAFE_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+/**
+ * Query params which are never parsed as filter fields
+ * @type {Array}
+ */
+const RESERVED_PARAMS = [
+    'filter', 'projection', 'fields', 'populate', 'sort', 'skip', 'start', 'limit', 'cursor', 'after',
+    'q', 'score', 'format', 'view', 'withDeleted', 'lastEventId', 'ordered', 'pipeline', 'groupBy', 'metric'
+];
+
+/**
+ * Options of populate param, others like `model`, `match` and `options` are not allowed
+ * @type {Array}
+ */
+const POPULATE_OPTIONS = ['path', 'select', 'populate'];
+
+/**
+ * Actions of audit trail routes, enabled by audit
+ * @type {Array}
+ */
+const AUDIT_ACTIONS = ['history', 'revert'];
+
+/**
+ * Schema of audit entries, `doc` holds document state after change (before removal for removed docs)
+ * @type {Object}
+ */
+const AUDIT_SCHEMA = new mongoose.Schema({
+    model: String,
+    docId: mongoose.Schema.Types.Mixed,
+    rev: Number,
+    action: String,
+    actor: mongoose.Schema.Types.Mixed,
+    changes: [mongoose.Schema.Types.Mixed],
+    doc: mongoose.Schema.Types.Mixed,
+    method: String,
+    params: mongoose.Schema.Types.Mixed,
+    createdAt: Date
+}, {versionKey: false});
+AUDIT_SCHEMA.index({model: 1, docId: 1, rev: 1}, {unique: true, partialFilterExpression: {rev: {$exists: true}}});
+
+/**
+ * Attempts to write audit entry when its revision is taken by concurrent write
+ * @type {Number}
+ */
+const AUDIT_WRITE_ATTEMPTS = 5;
+
+/**
+ * Middleware actions which are forbidden unless middleware is set for them explicitly
+ * @type {Array}
+ */
+const PRIVILEGED_ACTIONS = ['trash', 'purge'];
+
+/**
+ * Nested routes of relations, each is [httpMethod, action, path, parentMiddlewareAction, childMiddlewareAction]
+ * @type {Object}
+ */
+const RELATION_ROUTES = {
+    ref: [
+        ['get', 'findRelated', '', 'find', 'find'],
+        ['post', 'createRelated', '', 'find', 'create']
+    ],
+    embedded: [
+        ['get', 'findSubdocs', '', 'find'],
+        ['post', 'createSubdoc', '', 'update'],
+        ['get', 'findSubdoc', '/:subId', 'find'],
+        ['put', 'replaceSubdoc', '/:subId', 'update'],
+        ['delete', 'deleteSubdoc', '/:subId', 'update']
+    ]
+};
+
+/**
+ * Shared OpenAPI parameters of find, findOne and count actions
+ * @type {Object}
+ */
+const OPENAPI_PARAMETERS = {
+    filter: {
+        name: 'filter', in: 'query', schema: {type: 'string'},
+        description: 'Filter as JSON, eg `{"title": {"$in": ["a", "b"]}}`'
+    },
+    projection: {
+        name: 'projection', in: 'query', schema: {type: 'string'},
+        description: 'Fields to select, eg `title content` or JSON'
+    },
+    populate: {
+        name: 'populate', in: 'query', schema: {type: 'string'},
+        description: 'Paths to populate, eg `user` or JSON'
+    },
+    fields: {
+        name: 'fields', in: 'query', schema: {type: 'string'},
+        description: 'Comma separated fields to select if projection is omitted, eg `title,user`'
+    },
+    sort: {
+        name: 'sort', in: 'query', schema: {type: 'string'},
+        description: 'Sort fields, eg `-createdAt,title`'
+    },
+    skip: {name: 'skip', in: 'query', schema: {type: 'integer', minimum: 0}},
+    cursor: {
+        name: 'cursor', in: 'query', schema: {type: 'string'},
+        description: 'Keyset pagination cursor, empty for the first page'
+    },
+    q: {
+        name: 'q', in: 'query', schema: {type: 'string'},
+        description: 'Search words, pass `score=true` to include text score in docs'
+    },
+    format: {
+        name: 'format', in: 'query', schema: {type: 'string', enum: ['json', 'ndjson', 'csv']},
+        description: 'Response format, `Accept` header is used if omitted'
+    },
+    criteria: {
+        name: 'criteria', in: 'query', style: 'form', explode: true,
+        schema: {type: 'object', additionalProperties: true},
+        description: 'Field conditions cast to schema types, eg `name=foo&age[gte]=18&tags[in]=a,b`'
+    }
+};
 
 class ModelWrapper {
 
-    constructor(model) {
+    /**
+     * @param {String|Object} model mongoose model name or instance
+     * @param {Object=} options defaults, usually inherited from Restaman options
+     */
+    constructor(model, options) {
         this.modelName = model.modelName || model;
+        /**
+         * Model options
+         * @type {Object}
+         */
+        this.options = Object.assign({
+            envelope: false,
+            defaultLimit: null,
+            maxLimit: null,
+            protectedWrite: 'strip',
+            upsert: false,
+            strict: false,
+            versionField: null,
+            softDelete: null,
+            search: null,
+            audit: null,
+            serializer: null,
+            eventBufferSize: 100,
+            importBatchSize: 100,
+            bulkMatchAll: false
+        }, options);
+        this.options.routes = Object.assign({}, this.options.routes);
+        this.options.queryPolicy = Object.assign({
+            filterable: null,
+            sortable: null,
+            populatable: null,
+            populateDepth: 1,
+            operators: DEFAULT_OPERATORS
+        }, this.options.queryPolicy);
+        this.options.aggregatePolicy = Object.assign({
+            stages: AGGREGATE_STAGES,
+            accumulators: AGGREGATE_ACCUMULATORS,
+            fields: null
+        }, this.options.aggregatePolicy);
         this.hooks = {
             pre: {},
             post: {}
@@ -33,24 +267,97 @@ class ModelWrapper {
          * @type {Array}
          */
         this.hidden = [];
+        /**
+         * Fields hidden by rule, list of {fields, rule}, see hide
+         * @type {Array}
+         */
+        this.ruleHidden = [];
+        /**
+         * Access rules by action, see allow
+         * @type {Object}
+         */
+        this.rules = {};
+        /**
+         * Fields which can't be changed via create and update
+         * @type {Array}
+         */
+        this.readonlyFields = [];
+        /**
+         * Restaman instance the model is added to, used to serialize populated docs of other models
+         * @type {Restaman|null}
+         */
+        this.registry = null;
+        /**
+         * Fields which can be set via create but can't be changed via update
+         * @type {Array}
+         */
+        this.immutableFields = [];
+        /**
+         * Whitelist of fields which can be set via create and update, null means all fields
+         * @type {Array|null}
+         */
+        this.writableFields = null;
+        /**
+         * Functions mapping errors to problem details, see errorMapper
+         * @type {Array}
+         */
+        this.errorMappers = [];
+        /**
+         * Relations with nested routes, see relation
+         * @type {Array}
+         */
+        this.relations = [];
+        /**
+         * In-process bus of change events, see publish
+         * @type {EventEmitter}
+         */
+        this.changes = new EventEmitter();
+        this.changes.setMaxListeners(0);
+        /**
+         * Last published events for `Last-Event-ID` resume
+         * @type {Array}
+         */
+        this.eventBuffer = [];
+        this.lastEventId = 0;
+        /**
+         * Docs state before pre hooks of audited actions, see applyPreHooks
+         * @type {WeakMap}
+         */
+        this.auditSnapshots = new WeakMap();
 
         this.db = function (name) {
-            return name ? mongoose.connection.useDb(name) : mongoose;
+            return name ? useDb(name) : mongoose;
         };
     }
 
     /**
-     * Return model from named db if presented in args otherwise from default db
-     * @param {Object=} params
+     * Return model from connection or named db if presented in args otherwise from default db
+     * @param {Object=} params {db, connection}
      * @returns {*}
      */
     model(params) {
+        if (params && params.connection) {
+            return params.connection.model(this.modelName);
+        }
         let dbname = params ? params.db : null;
         return this.db(dbname).model(this.modelName);
     }
 
+    /**
+     * Run hooks one by one, hook can return promise to be waited for or throw (reject) to abort action.
+     * Value returned by post hook added with `replace` option replaces hook data for next hooks and response
+     * if it has the same type, data is third hook argument or fourth one for `method` and `static` actions (result)
+     * @param {String} type pre or post
+     * @param {String} action
+     * @param {Object} req
+     * @param {Object} res
+     * @param {*=} data
+     * @returns {Promise} resolves with data
+     */
     applyHooks(type, action, req, res, data) {
         var hooksToApply = [];
+        var args = Array.prototype.slice.call(arguments, 2);
+        var index = action == 'method' || action == 'static' ? 3 : 2;
 
         if (this.hooks[type][action]) {
             hooksToApply = hooksToApply.concat(this.hooks[type][action]);
@@ -58,22 +365,35 @@ class ModelWrapper {
         if (this.hooks[type].all) {
             hooksToApply = hooksToApply.concat(this.hooks[type].all);
         }
-        hooksToApply.forEach(function (hook) {
-            hook(req, res, data);
-        })
+        return hooksToApply
+            .reduce((promise, hook) => promise
+                .then(() => hook.callback.apply(null, args))
+                .then(result => {
+                    if (type == 'post' && hook.replace && isSameType(result, args[index])) {
+                        args[index] = result;
+                    }
+                }), Promise.resolve())
+            .then(() => args[index]);
     }
 
-    addHook(type, action, callback) {
+    /**
+     * @param {String} type pre or post
+     * @param {String|Array} action
+     * @param {Function} callback
+     * @param {Object=} options
+     * @param {Boolean=} options.replace value returned by post hook replaces data, see applyHooks
+     */
+    addHook(type, action, callback, options) {
 
         if (action instanceof Array) {
-            action.forEach(_action => this.addHook(type, _action, callback))
+            action.forEach(_action => this.addHook(type, _action, callback, options))
         } else {
             let actionName = this.parseActionName(action);
             if (actionName) {
                 if (!this.hooks[type][actionName]) {
                     this.hooks[type][actionName] = [];
                 }
-                this.hooks[type][actionName].push(callback);
+                this.hooks[type][actionName].push({callback: callback, replace: !!(options && options.replace)});
             }
         }
     }
@@ -90,7 +410,15 @@ class ModelWrapper {
             'delete': 'delete',
             remove: 'delete',
             init: 'init',
-            count: 'count'
+            count: 'count',
+            method: 'method',
+            'static': 'static',
+            insertMany: 'insertMany',
+            updateMany: 'updateMany',
+            deleteMany: 'deleteMany',
+            restore: 'restore',
+            purge: 'purge',
+            aggregate: 'aggregate'
         };
         return names[action];
 
@@ -104,32 +432,45 @@ class ModelWrapper {
     };
 
     getMiddleware(action) {
+        if (PRIVILEGED_ACTIONS.indexOf(action) !== -1) {
+            return this.middlewares[action] || ((req, res, next) => {
+                    next(this.rules[action] ? undefined : new HttpError(403));
+                });
+        }
         return this.middlewares[action] || this.middlewares['all'] || function (req, res, next) {
                 next()
             };
     };
 
     /**
-     * Expose instance method defined for mongoose model
-     * @param method
+     * Expose instance method defined for mongoose model,
+     * arguments can be validated with JSON Schema (`schema` option) or per parameter types (`params` option)
+     * @param {String|Object} method name or {name, exposeName, schema, params}
      */
     exposeMethod(method) {
         method = method instanceof Object ? method : {name: method};
         method = Object.assign({exposeName: method.name}, method);
-        if (this.model()[method.name] instanceof Function) {
-            this.methods.push(method);
+        if (method.params) {
+            method.schema = paramsToSchema(method.params);
+        }
+        if (this.model().schema.methods[method.name] instanceof Function) {
+            let index = this.methods.findIndex(_method => _method.exposeName == method.exposeName);
+            ~index ? this.methods[index] = method : this.methods.push(method); // replace if exists with same exposeName
         } else {
             throw new Error(`Instance method ${method.name} is not defined for model ${this.model().modelName}`)
         }
     };
 
     /**
-     * Expose static method defined for mongoose model
-     * @param method
+     * Expose static method defined for mongoose model, arguments are validated as for instance methods
+     * @param {String|Object} method name or {name, exposeName, schema, params}
      */
     exposeStatic(method) {
         method = method instanceof Object ? method : {name: method};
         method = Object.assign({exposeName: method.name}, method);
+        if (method.params) {
+            method.schema = paramsToSchema(method.params);
+        }
         if (this.model().schema.statics[method.name] instanceof Function) {
             let index = this.statics.findIndex(_method => _method.exposeName == method.exposeName);
             ~index ? this.statics[index] = method : this.statics.push(method); // replace if exists with same exposeName
@@ -146,26 +487,30 @@ class ModelWrapper {
         return this.statics;
     };
 
-    findById(id, model) {
-        return model.findOne({_id: id})
+    /**
+     * @param {*} id
+     * @param {Object} model
+     * @param {String=} scope soft deleted docs scope, see scopeDeleted
+     * @returns {Promise} resolves with doc or rejects with NotFoundError
+     */
+    findById(id, model, scope) {
+        return model.findOne(this.scopeDeleted({_id: id}, scope))
             .then(doc => {
                 if (!doc) {
-                    var error = new Error();
-                    error.message = 'Not Found';
-                    error.name = 'ModelNotFound';
-                    error.status = 404;
-                    throw error
+                    throw new NotFoundError();
                 }
                 return doc;
             })
     };
 
+    /**
+     * @param {Object} req
+     * @param {Object} res
+     * @returns {Promise} resolves with model
+     */
     initModel(req, res) {
-        var params = {};
-        this.applyHooks('pre', 'init', req, res, params);
-        var model = this.model(params);
-        this.applyHooks('post', 'init', req, res, model);
-        return model;
+        return this.applyHooks('pre', 'init', req, res, res.locals.connection ? {connection: res.locals.connection} : {})
+            .then(params => this.applyHooks('post', 'init', req, res, this.model(params)));
     }
 
     pre(action, callback) {
@@ -173,8 +518,14 @@ class ModelWrapper {
         return this;
     };
 
-    post(action, callback) {
-        this.addHook('post', action, callback);
+    /**
+     * @param {String|Array} action
+     * @param {Function} callback
+     * @param {Object=} options `{replace: true}` to replace response data with value returned by hook
+     * @returns {ModelWrapper}
+     */
+    post(action, callback, options) {
+        this.addHook('post', action, callback, options);
         return this;
     };
 
@@ -188,295 +539,3880 @@ class ModelWrapper {
     };
 
     /**
-     * Add post hook to exclude field(s) from response object(s)
-     * Note that hidden field still can be changed via update
+     * Add post hook to exclude field(s) from response object(s), with rule (see allow) fields are hidden
+     * only for requests matching it and can't be used in filter and sort of such requests.
+     * Note that hidden field still can be changed via update, use readonly to prevent it
      * @param {Array|String} args
+     * @param {Function|String|Array=} rule
      * @returns {ModelWrapper}
      */
-    hide(args) {
-        this.hidden = this.hidden.concat(args instanceof Array ? args : [args]);
+    hide(args, rule) {
+        let fields = args instanceof Array ? args : [args];
+        if (typeof rule !== 'undefined') {
+            this.ruleHidden.push({fields: fields, rule: rule});
+        } else {
+            this.hidden = this.hidden.concat(fields);
+        }
         return this;
     }
 
     /**
-     * Shortcut for exposeMethod
-     * @param method
-     * @returns {ModelWrapper}
+     * @param {Object} res
+     * @returns {Array} fields hidden for request, resolved by authorize
      */
-    method(method) {
-        this.exposeMethod(method);
-        return this;
-    };
+    hiddenFields(res) {
+        return this.hidden.concat(res.locals.hidden || []);
+    }
 
     /**
-     * Shortcut for exposeStatic
-     * @param method
+     * Configure serialization of response docs, applied to all actions, export and change events.
+     * Populated docs of models added to Restaman are serialized with their own hidden fields
+     * @param {Object} options
+     * @param {Boolean=} options.virtuals include virtuals
+     * @param {Boolean=} options.getters apply getters
+     * @param {Boolean=} options.id rename `_id` to `id`
+     * @param {Boolean=} options.versionKey false to remove version key
+     * @param {Object=} options.transforms functions (value, doc) by field path, eg `{price: value => value / 100}`
+     * @param {Object=} options.views fields by view name selected with `view` param, eg `{summary: ['title']}`
+     * @param {String=} options.defaultView view used when `view` param is not set
      * @returns {ModelWrapper}
      */
-    ['static'](method) {
-        this.exposeMethod(method);
+    serializer(options) {
+        this.options.serializer = Object.assign({}, this.options.serializer, options);
         return this;
-    };
-
-    // Route handlers
+    }
 
-    create(req, res, next) {
-        if (req.body instanceof Array || !req.body instanceof Object) {
-            let error = new TypeError('Only objects allowed');
-            error.statusCode = 400;
-            return next(error);
+    /**
+     * @param {Object} req
+     * @returns {Array|null} fields of view selected by `view` param or `defaultView`, null if there are no views
+     * @throws {HttpError} 400 if view is unknown
+     */
+    getView(req) {
+        let options = this.options.serializer || {};
+        let name = req.query.view || options.defaultView;
+        if (!name || !options.views) {
+            return null;
         }
-        const model = this.initModel(req, res);
-        this.applyHooks('pre', 'create', req, res);
-        model.create(req.body)
-            .then(doc => {
-                this.applyHooks('post', 'create', req, res, doc);
-                res.send(doc)
-            })
-            .catch(next);
-    };
-
-    findOne(req, res, next) {
-        let model = this.initModel(req, res);
-        let query = parseQuery(req.query);
-        query.filter._id = req.params.id;
-        this.applyHooks('pre', 'findOne', req, res, query);
-        let promise = model.findOne(query.filter, query.projection);
-        if (query.populate) {
-            promise.populate(query.populate);
+        if (!options.views.hasOwnProperty(name)) {
+            throw new HttpError(400, 'Unknown view ' + name);
         }
-        promise.then(doc => {
-            if (!doc) {
-                throw new NotFoundError();
-            }
-            this.applyHooks('post', 'findOne', req, res, doc);
-            res.send(doc)
-        }).catch(next);
-    };
+        return options.views[name];
+    }
 
-    find(req, res, next) {
-        let model = this.initModel(req, res);
-        let query = parseQuery(req.query);
-        this.applyHooks('pre', 'find', req, res, query);
-        let promise = model.find(query.filter, query.projection, query.options);
-        if (query.populate) {
-            promise.populate(query.populate);
-        }
-        promise.then(docs => {
-            this.applyHooks('post', 'find', req, res, docs);
-            res.send(docs)
-        }).catch(next);
-    };
+    /**
+     * Add access rule of action(s), action is allowed if any of its own or `all` rules passes,
+     * actions without rules are not restricted. Actions are the ones of middleware
+     * (find, count, create, update, delete, aggregate, trash, purge, method) and `static`.
+     * Rule is function called with context {req, res, user, action} and returning boolean (or promise),
+     * or role name(s) matched against `req.user.roles` (or `req.user.role`)
+     * @param {Array|String} actions
+     * @param {Function|String|Array} rule
+     * @returns {ModelWrapper}
+     */
+    allow(actions, rule) {
+        (actions instanceof Array ? actions : [actions]).forEach(action => {
+            this.rules[action] = (this.rules[action] || []).concat([rule]);
+        });
+        return this;
+    }
 
     /**
-     *
+     * Check access rules of action and resolve fields hidden for request by rules of hide to `res.locals.hidden`,
+     * query policy checks of actions use them along with static hidden fields (see hiddenFields)
+     * @param {String} action
      * @param {Object} req
      * @param {Object} res
-     * @param {Function} next
+     * @returns {Promise} rejects with 403 HttpError if action is not allowed
      */
-    update(req, res, next) {
-        let model = this.initModel(req, res);
-        this.findById(req.params.id, model)
-            .then(doc => {
-                this.applyHooks('pre', 'update', req, res, doc);
-                return Object.assign(doc, req.body).save()
-            })
-            .then(doc => {
-                this.applyHooks('post', 'update', req, res, doc);
-                res.send(doc)
+    authorize(action, req, res) {
+        let context = {req: req, res: res, user: req.user, action: action};
+        let rules = (this.rules[action] || []).concat(this.rules.all || []);
+        return rules
+            .reduce((promise, rule) => promise.then(allowed => allowed || checkRule(rule, context)), Promise.resolve(!rules.length))
+            .then(allowed => {
+                if (!allowed) {
+                    throw new HttpError(403);
+                }
+                return this.ruleHiddenFields(action, req, res);
             })
-            .catch(next)
-    };
+            .then(hidden => {
+                res.locals.hidden = hidden;
+            });
+    }
 
-    delete(req, res, next) {
-        var model = this.initModel(req, res);
-        this.findById(req.params.id, model)
-            .then(doc => {
-                this.applyHooks('pre', 'delete', req, res, doc);
-                return doc.remove()
-            })
-            .then(doc => {
-                this.applyHooks('post', 'delete', req, res, doc);
-                res.send(doc)
-            })
-            .catch(next)
-    };
+    /**
+     * @param {String} action
+     * @param {Object} req
+     * @param {Object} res
+     * @returns {Promise} resolves with fields of `hide` rules matching request
+     */
+    ruleHiddenFields(action, req, res) {
+        let context = {req: req, res: res, user: req.user, action: action};
+        return Promise.all(this.ruleHidden.map(item => checkRule(item.rule, context)))
+            .then(matched => this.ruleHidden
+                .filter((item, index) => matched[index])
+                .reduce((fields, item) => fields.concat(item.fields), []));
+    }
 
-    count(req, res, next) {
-        var model = this.initModel(req, res);
-        let criteria = parseCountCriteria(req.query);
-        this.applyHooks('pre', 'count', req, res, criteria);
-        model.count(criteria)
-            .then(count => {
-                this.applyHooks('post', 'count', req, res, count);
-                res.send({count: count})
-            })
-            .catch(next)
-    };
+    /**
+     * Middleware of action followed by access rules check
+     * @param {String} action
+     * @returns {Function}
+     */
+    guard(action) {
+        let middleware = this.middleware(action);
+        return (req, res, next) => middleware(req, res, err => {
+            if (err) {
+                return next(err);
+            }
+            this.authorize(action, req, res).then(() => this.getView(req)).then(() => next(), next);
+        });
+    }
 
-    callMethod(method, req, res, next) {
-        var model = this.initModel(req, res);
-        this.applyHooks('pre', 'method', req, res, method);
-        try {
-            let _method = model[method];
-            let params = getParamNames(_method).map(paramName => req.body[paramName]);
-            let result = _method.apply(model, params);
-            (result instanceof Promise ? result : Promise.resolve(result))
-                .then(result => {
-                    this.applyHooks('post', 'method', req, res, method, result);
-                    res.send(result);
-                })
-                .catch(next)
-        } catch (err) {
-            next(err);
-        }
-    };
+    /**
+     * Run middleware and access rules of another action within request, eg `create` of upsert
+     * @param {String} action
+     * @param {Object} req
+     * @param {Object} res
+     * @returns {Promise}
+     */
+    checkAccess(action, req, res) {
+        return new Promise((resolve, reject) => this.guard(action)(req, res, err => err ? reject(err) : resolve()));
+    }
 
-    callStatic(method, req, res, next) {
-        var model = this.initModel(req, res);
-        this.applyHooks('pre', 'static', req, res, method);
-        try {
-            let _method = model[method];
-            let params = getParamNames(_method).map(paramName => req.body[paramName]);
-            let result = _method.apply(model, params);
-            (result instanceof Promise ? result : Promise.resolve(result))
-                .then(result => {
-                    this.applyHooks('post', 'static', req, res, method, result);
-                    res.send(result);
-                })
-                .catch(next)
-        } catch (err) {
-            next(err);
-        }
-    };
-}
+    /**
+     * Restrict docs to ones owned by request user: `find`, `findOne` and `count` queries (and so bulk, aggregate
+     * and nested routes) are filtered by owner field, it is set to created docs and can't be changed via update,
+     * loaded docs of update, delete, restore, purge and instance method actions are checked (403 if not owned)
+     * @param {String} field path holding owner id
+     * @param {Object=} options
+     * @param {Function=} options.id returns owner id for context (see allow), `req.user._id` or `req.user.id` by default
+     * @param {Function|String|Array=} options.bypass rule of requests not restricted by ownership, eg `'admin'`
+     * @returns {ModelWrapper}
+     */
+    owner(field, options) {
+        options = Object.assign({id: context => context.user && (context.user._id || context.user.id)}, options);
+        this.immutable(field);
+        // resolves with null if ownership is bypassed
+        const ownerId = (action, req, res) => {
+            let context = {req: req, res: res, user: req.user, action: action};
+            return (options.bypass ? checkRule(options.bypass, context) : Promise.resolve(false))
+                .then(bypass => {
+                    if (bypass) {
+                        return null;
+                    }
+                    let id = options.id(context);
+                    if (id == null) {
+                        throw new HttpError(403);
+                    }
+                    return id;
+                });
+        };
+        const checkDoc = (action, req, res, doc) => ownerId(action, req, res)
+            .then(id => {
+                if (id !== null && String(doc.get(field)) !== String(id)) {
+                    throw new HttpError(403);
+                }
+            });
+        ['find', 'findOne'].forEach(action => this.pre(action, (req, res, query) => ownerId(action, req, res)
+            .then(id => {
+                if (id !== null) {
+                    query.filter = addCondition(query.filter, field, id);
+                }
+            })));
+        this.pre('count', (req, res, criteria) => ownerId('count', req, res)
+            .then(id => {
+                if (id === null) {
+                    return;
+                }
+                if (typeof criteria[field] === 'undefined') {
+                    criteria[field] = id;
+                } else {
+                    criteria.$and = (criteria.$and || []).concat([{[field]: id}]);
+                }
+            }));
+        this.pre('create', (req, res, body) => ownerId('create', req, res)
+            .then(id => id !== null && setPath(body, field, id)));
+        this.pre('insertMany', (req, res, items) => ownerId('create', req, res)
+            .then(id => id !== null && items.forEach(item => setPath(item, field, id))));
+        ['update', 'delete', 'restore', 'purge'].forEach(action => this.pre(action, (req, res, doc) => checkDoc(action, req, res, doc)));
+        this.pre('method', (req, res, method, doc) => checkDoc('method', req, res, doc));
+        return this;
+    }
 
+    /**
+     * Configure list responses of find action
+     * @param {Object} options
+     * @param {Boolean=} options.envelope respond with {items, total, skip, limit} and Link, X-Total-Count headers
+     * @param {Number=} options.defaultLimit limit used when request has no limit
+     * @param {Number=} options.maxLimit max limit allowed for request
+     * @returns {ModelWrapper}
+     */
+    paginate(options) {
+        Object.assign(this.options, options);
+        return this;
+    }
 
-class Restaman {
+    /**
+     * Disable (false) or change path (string relative to collection path) of action routes,
+     * actions are find, findOne, count, create, update, patch, replace, delete
+     * @param {Object} routes eg `{create: false, count: '/total'}`
+     * @returns {ModelWrapper}
+     */
+    routes(routes) {
+        Object.assign(this.options.routes, routes);
+        return this;
+    }
 
-    constructor() {
-        this.models = [];
+    /**
+     * List enabled action routes
+     * @returns {Array} list of {method, action, path, middleware} objects, path is relative to collection path
+     */
+    getRoutes() {
+        let routes = this.options.routes;
+        return ROUTES
+            .filter(route => this.options.softDelete || SOFT_DELETE_ACTIONS.indexOf(route[1]) === -1)
+            .filter(route => this.options.audit || AUDIT_ACTIONS.indexOf(route[1]) === -1)
+            .filter(route => route[1] != 'search' || this.isSearchable())
+            .filter(route => routes[route[1]] !== false
+                && !(typeof routes[route[1]] === 'undefined' && route[4] && routes[route[4]] === false))
+            .map(route => ({
+                method: route[0],
+                action: route[1],
+                path: typeof routes[route[1]] === 'string' ? routes[route[1]] : route[2],
+                middleware: route[3]
+            }));
     }
 
+    /**
+     * @returns {String} collection path
+     */
+    getPath() {
+        return '/' + this.model().collection.collectionName;
+    }
 
     /**
-     * create ModelWrapper instance
-     * for given model name or mongoose Model instance
-     * @param model
-     * @returns {ModelWrapper}
+     * Apply default and max limit to query options
+     * @param {Object} options query options
+     * @returns {Object}
      */
-    addModel(model) {
-        var modelWrapper = new ModelWrapper(model);
-        if (this.getModelWrapper(modelWrapper.modelName)) {
-            throw new Error('Model already registered');
+    limitOptions(options) {
+        if (!options.limit && this.options.defaultLimit) {
+            options.limit = this.options.defaultLimit;
         }
-        this.models.push(modelWrapper);
-        return modelWrapper;
-    };
+        if (this.options.maxLimit && (!options.limit || options.limit > this.options.maxLimit)) {
+            options.limit = this.options.maxLimit;
+        }
+        return options;
+    }
 
     /**
-     * remove ModelWrapper instance
-     * for given model name
-     * @param model
-     * @returns {Restaman}
+     * Disallow changing field(s) via create and update
+     * @param {Array|String} args
+     * @returns {ModelWrapper}
      */
-    removeModel(modelName) {
-        let index = this.models.findIndex(modelWrapper => modelWrapper.modelName == modelName);
-        if (~index) {
-            this.models.splice(index, 1);
-        }
+    readonly(args) {
+        this.readonlyFields = this.readonlyFields.concat(args instanceof Array ? args : [args]);
         return this;
-    };
+    }
 
     /**
-     * return ModelWrapper instance for given model name
-     * @param {String} modelName name of Mongoose model
+     * Allow setting field(s) via create only
+     * @param {Array|String} args
      * @returns {ModelWrapper}
      */
-    getModelWrapper(modelName) {
-        return this.models.find(modelWrapper => modelWrapper.modelName == modelName)
-    };
+    immutable(args) {
+        this.immutableFields = this.immutableFields.concat(args instanceof Array ? args : [args]);
+        return this;
+    }
 
     /**
-     * Prepare ModelWrapper and add to router
+     * Allow only given field(s) to be set via create and update
+     * @param {Array|String} args
+     * @returns {ModelWrapper}
      */
-    setupModel(modelWrapper, router) {
-        modelWrapper.addHook('post', ['create', 'find', 'findOne', 'delete', 'update'], (req, res, data) => {    // todo move to wrapper
-
-            const removeHidden = (doc) => modelWrapper.hidden.forEach(field => doc[field] = undefined);
-
-            if (data && modelWrapper.hidden.length) {
-                data instanceof Array ? data.forEach(removeHidden) : removeHidden(data);
-            }
-        });
-        this.setupModelRoutes(modelWrapper, router);
-
+    writable(args) {
+        this.writableFields = (this.writableFields || []).concat(args instanceof Array ? args : [args]);
+        return this;
     }
+
     /**
-     *
-     * @param {ModelWrapper} modelWrapper
-     * @param {Object} router
+     * Check if body path can be written by given action
+     * @param {String} action create or update
+     * @param {String} path dot separated path, eg `object.someProp`
+     * @returns {Boolean}
      */
-    setupModelRoutes(modelWrapper, router) {
+    isWritable(action, path) {
+        let denied = action == 'update' ? this.readonlyFields.concat(this.immutableFields) : this.readonlyFields;
+        if (denied.some(field => coversPath(field, path) || coversPath(path, field))) {
+            return false;
+        }
+        return !this.writableFields || this.writableFields.some(field => coversPath(field, path));
+    }
 
-        let path = '/' + modelWrapper.model().collection.collectionName;
-        modelWrapper.getStatics().forEach(method => router.post(path + '/' + method.exposeName, (req, res, next) =>
-            modelWrapper.callStatic(method.name, req, res, next)
-        ));
+    /**
+     * Reject fields unknown to model schema in strict mode, then strip protected paths from body
+     * or throw WriteProtectionError depending on `protectedWrite` option.
+     * For update paths with values equal to doc ones are stripped without error
+     * @param {String} action create or update
+     * @param {Object} body
+     * @param {Object=} doc
+     * @returns {Object} body
+     */
+    protectBody(action, body, doc) {
+        if (this.options.strict) {
+            this.rejectUnknown(unknownPaths(this.model().schema, body));
+        }
+        let paths = flattenPaths(body).filter(path => !this.isWritable(action, path));
+        let offending = paths.filter(path => !doc || JSON.stringify(doc.get(path)) !== JSON.stringify(getPath(body, path)));
+        if (offending.length && this.options.protectedWrite == 'reject') {
+            throw new WriteProtectionError(offending);
+        }
+        paths.forEach(path => unsetPath(body, path));
+        return body;
+    }
 
-        router
-            .options(path, function (req, res) {
-                res.status(204).set('Allow', 'GET, OPTIONS, DELETE, POST, PUT').end();
-            })
-            .get(path + '/count', modelWrapper.middleware('count'), function (req, res, next) {
-                modelWrapper.count(req, res, next);
-            })
-            .get(path + '/:id', modelWrapper.middleware('find'), function (req, res, next) {
-                modelWrapper.findOne(req, res, next);
+    /**
+     * Enable or disable strict mode, in strict mode request bodies, filters and sort
+     * with fields unknown to model schema are rejected with 400
+     * @param {Boolean=} enabled
+     * @returns {ModelWrapper}
+     */
+    strict(enabled) {
+        this.options.strict = enabled !== false;
+        return this;
+    }
+
+    /**
+     * @param {Array} paths fields unknown to model schema
+     * @throws {RequestValidationError}
+     */
+    rejectUnknown(paths) {
+        if (paths.length) {
+            throw new RequestValidationError(paths
+                .filter((path, index) => paths.indexOf(path) === index)
+                .map(path => ({path: path, message: 'Unknown field'})));
+        }
+    }
+
+    /**
+     * Field which changes on every update, `versionField` option or schema versionKey
+     * @param {Object} schema mongoose schema
+     * @returns {String|null} null means documents are hashed to compute ETag
+     */
+    versionPath(schema) {
+        if (this.options.versionField) {
+            return this.options.versionField;
+        }
+        let versionKey = schema.options.versionKey;
+        return versionKey && schema.path(versionKey) ? versionKey : null;
+    }
+
+    /**
+     * Strong ETag of document computed from its id and version or from whole document if it has no version
+     * @param {Object} doc mongoose document or plain object
+     * @returns {String}
+     */
+    etag(doc) {
+        let isDocument = doc instanceof mongoose.Document;
+        let path = isDocument && this.versionPath(doc.schema);
+        let version = path ? doc.get(path) : null;
+        if (version != null) {
+            return `"${hash([doc._id, version instanceof Date ? version.getTime() : version])}"`;
+        }
+        return `"${hash(isDocument ? doc.toObject({depopulate: true}) : doc)}"`;
+    }
+
+    /**
+     * @param {Object} doc
+     * @returns {Date|null} value of `versionField` or timestamps `updatedAt` field
+     */
+    lastModified(doc) {
+        if (!(doc instanceof mongoose.Document)) {
+            return null;
+        }
+        let timestamps = doc.schema.options.timestamps;
+        let path = this.options.versionField || (timestamps && (timestamps.updatedAt || 'updatedAt'));
+        let value = path && doc.get(path);
+        return value instanceof Date ? value : null;
+    }
+
+    /**
+     * Set ETag and Last-Modified headers of document
+     * @param {Object} res
+     * @param {Object} doc
+     */
+    setCacheHeaders(res, doc) {
+        let lastModified = this.lastModified(doc);
+        res.set('ETag', this.etag(doc));
+        if (lastModified) {
+            res.set('Last-Modified', lastModified.toUTCString());
+        }
+    }
+
+    /**
+     * Set weak ETag and Last-Modified headers of find result computed from its docs
+     * @param {Object} res
+     * @param {Array|Object} result docs or page with items
+     */
+    setListCacheHeaders(res, result) {
+        let docs = result instanceof Array ? result : result.items;
+        let meta = result instanceof Array ? null : Object.assign({}, result, {items: undefined});
+        let lastModified = docs.map(doc => this.lastModified(doc)).reduce((max, date) => date && (!max || date > max) ? date : max, null);
+        res.set('ETag', `W/"${hash([docs.map(doc => this.etag(doc)), meta])}"`);
+        if (lastModified) {
+            res.set('Last-Modified', lastModified.toUTCString());
+        }
+    }
+
+    /**
+     * Send doc, array of docs or page of docs serialized for request
+     * @param {Object} req
+     * @param {Object} res
+     * @param {*} data
+     */
+    send(req, res, data) {
+        if (isPlainObject(data) && data.items instanceof Array) {
+            data = Object.assign({}, data, {items: this.serialize(data.items, req, res)});
+        } else {
+            data = this.serialize(data, req, res);
+        }
+        res.send(data);
+    }
+
+    /**
+     * @param {Object|Array} data doc or array of docs
+     * @param {Object} req
+     * @param {Object} res
+     * @returns {Object|Array} plain object(s) with request hidden fields removed and view applied, see serializer
+     */
+    serialize(data, req, res) {
+        let hidden = this.hiddenFields(res);
+        let view = this.getView(req);
+        let options = {refHidden: res.locals.populatedHidden};
+        return data instanceof Array
+            ? data.map(doc => this.serializeDoc(doc, hidden, view, options))
+            : this.serializeDoc(data, hidden, view, options);
+    }
+
+    /**
+     * @param {Object} doc mongoose document or plain object, eg of change event
+     * @param {Array} hidden fields to remove
+     * @param {Array|null} view fields to pick
+     * @param {Object=} context
+     * @param {String=} context.prefix path of subdocument array like `topics.`, only fields under it are applied
+     * @param {Map=} context.refHidden hidden fields of populated models by name resolved for request, see preparePopulate,
+     * static hidden fields are used for models missing in it
+     * @returns {Object}
+     */
+    serializeDoc(doc, hidden, view, context) {
+        if (!doc || typeof doc !== 'object') {
+            return doc;
+        }
+        context = context || {};
+        let prefix = context.prefix;
+        const relative = fields => prefix
+            ? fields.filter(field => field.indexOf(prefix) === 0).map(field => field.slice(prefix.length))
+            : fields;
+        let options = this.options.serializer || {};
+        let transforms = {};
+        relative(Object.keys(options.transforms || {})).forEach(path => transforms[path] = options.transforms[(prefix || '') + path]);
+        let isDocument = doc instanceof mongoose.Document;
+        let obj;
+        if (!isDocument) {
+            obj = cloneDeep(doc);
+        } else if (typeof options.virtuals !== 'undefined' || typeof options.getters !== 'undefined') {
+            let toJSON = Object.assign({}, doc.schema.options.toJSON);
+            ['virtuals', 'getters'].filter(key => typeof options[key] !== 'undefined').forEach(key => toJSON[key] = options[key]);
+            obj = doc.toJSON(toJSON);
+        } else {
+            obj = doc.toJSON();
+        }
+        if (isDocument && this.registry) {
+            doc.schema.eachPath(path => {
+                if (!doc.populated(path)) {
+                    return;
+                }
+                let value = doc.get(path);
+                let converted = getPath(obj, path);
+                const serializeRef = (ref, index) => {
+                    let wrapper = ref instanceof mongoose.Document && this.registry.getModelWrapper(ref.constructor.modelName);
+                    if (!wrapper) {
+                        return typeof index === 'undefined' ? converted : converted[index];
+                    }
+                    let refHidden = context.refHidden && context.refHidden.get(wrapper.modelName) || wrapper.hidden;
+                    let refOptions = wrapper.options.serializer || {};
+                    let refView = refOptions.views && refOptions.views[refOptions.defaultView] || null;
+                    return wrapper.serializeDoc(ref, refHidden, refView, {refHidden: context.refHidden});
+                };
+                setPath(obj, path, value instanceof Array ? value.map(serializeRef) : serializeRef(value));
+            });
+        }
+        relative(hidden).forEach(field => unsetPath(obj, field));
+        forEach(transforms, (transform, path) => {
+            let value = getPath(obj, path);
+            if (typeof value !== 'undefined') {
+                setPath(obj, path, transform(value, doc));
+            }
+        });
+        if (options.versionKey === false) {
+            delete obj[this.model().schema.options.versionKey];
+        }
+        if (view) {
+            let picked = typeof obj._id !== 'undefined' ? {_id: obj._id} : {};
+            relative(view).forEach(field => {
+                let value = getPath(obj, field);
+                if (typeof value !== 'undefined') {
+                    setPath(picked, field, value);
+                }
+            });
+            obj = picked;
+        }
+        if (options.id && typeof obj._id !== 'undefined') {
+            let id = obj._id;
+            delete obj._id;
+            delete obj.id;
+            obj = Object.assign({id: id}, obj);
+        }
+        return obj;
+    }
+
+    /**
+     * Serialize changes of audit entry: changes of hidden fields and fields out of view are omitted,
+     * transforms are applied to values of changed paths
+     * @param {Array} changes list of {path, from, to}
+     * @param {Array} hidden
+     * @param {Array|null} view
+     * @returns {Array}
+     */
+    serializeChanges(changes, hidden, view) {
+        const matches = (fields, path) => fields.some(field => coversPath(field, path));
+        let transforms = (this.options.serializer || {}).transforms || {};
+        return changes
+            .filter(change => !matches(hidden, change.path) && (!view || change.path == '_id' || matches(view, change.path)))
+            .map(change => {
+                let transform = transforms[change.path];
+                if (transform) {
+                    ['from', 'to'].filter(key => typeof change[key] !== 'undefined').forEach(key => change[key] = transform(change[key], null));
+                }
+                return change;
+            });
+    }
+
+    /**
+     * Send result of exposed method, docs of model are serialized like other responses
+     * @param {Object} req
+     * @param {Object} res
+     * @param {*} result
+     */
+    sendResult(req, res, result) {
+        let docs = result instanceof Array ? result : [result];
+        if (docs.length && docs.every(doc => doc instanceof mongoose.Document && doc.constructor.modelName == this.modelName)) {
+            return this.send(req, res, result);
+        }
+        res.send(result);
+    }
+
+    /**
+     * Check If-Match and If-Unmodified-Since preconditions against document
+     * and mark its versionKey to be incremented on save
+     * @param {Object} req
+     * @param {Object} doc
+     * @throws {HttpError} 412
+     */
+    checkVersion(req, doc) {
+        let ifMatch = req.get('If-Match');
+        let ifUnmodifiedSince = Date.parse(req.get('If-Unmodified-Since'));
+        let lastModified = this.lastModified(doc);
+        if (ifMatch && ifMatch.trim() != '*' && ifMatch.split(',').map(tag => tag.trim()).indexOf(this.etag(doc)) === -1) {
+            throw new HttpError(412);
+        }
+        if (!ifMatch && lastModified && Math.floor(lastModified.getTime() / 1000) * 1000 > ifUnmodifiedSince) {
+            throw new HttpError(412);
+        }
+        if (!this.options.versionField && this.versionPath(doc.schema)) {
+            doc.increment();
+        }
+    }
+
+    /**
+     * Enable soft delete mode: delete route sets deletion date field instead of removing document,
+     * deleted docs are excluded from other routes, listed by trash route and can be restored or purged
+     * @param {Object=} options
+     * @param {String=} options.field deletion date field, `deletedAt` by default
+     * @param {Number=} options.retentionDays days after deletion before document can be purged
+     * @returns {ModelWrapper}
+     */
+    softDelete(options) {
+        this.options.softDelete = Object.assign({field: 'deletedAt', retentionDays: 0}, options);
+        return this;
+    }
+
+    /**
+     * Declare relation with nested routes. For docs of other model referencing this one
+     * `GET` and `POST /users/:id/posts` routes are created, for subdocument arrays
+     * `GET` and `POST /posts/:id/comments` and `GET`, `PUT` and `DELETE /posts/:id/comments/:subId`
+     * @param {String} name route name, also path of subdocument array by default
+     * @param {Object=} options
+     * @param {String=} options.model name of referencing model added to Restaman, eg `Post`
+     * @param {String=} options.field ref field of referencing model, eg `user`
+     * @param {String=} options.path path of subdocument array
+     * @returns {ModelWrapper}
+     */
+    relation(name, options) {
+        let relation = Object.assign({name: name, path: name}, options);
+        if (relation.model && !relation.field) {
+            throw new Error(`Ref field of relation ${name} is not defined`);
+        }
+        let schemaType = this.model().schema.path(relation.path);
+        if (!relation.model && !(schemaType && schemaType.instance == 'Array' && schemaType.schema)) {
+            throw new Error(`Path ${relation.path} is not a subdocument array of model ${this.modelName}`);
+        }
+        this.relations = this.relations.filter(_relation => _relation.name != name).concat(relation);
+        return this;
+    }
+
+    /**
+     * @returns {Array} nested routes of relations [{method, action, path, middleware, childMiddleware, relation}]
+     */
+    getRelationRoutes() {
+        let routes = [];
+        this.relations.forEach(relation => RELATION_ROUTES[relation.model ? 'ref' : 'embedded'].forEach(route => routes.push({
+            method: route[0],
+            action: route[1],
+            path: '/:id/' + relation.name + route[2],
+            middleware: route[3],
+            childMiddleware: route[4],
+            relation: relation
+        })));
+        return routes;
+    }
+
+    /**
+     * Publish change event to subscribers of `_events` route, can be used by external sources like change streams
+     * @param {String} type create, update or delete
+     * @param {Object} doc mongoose document or plain object
+     * @param {Object=} connection connection (tenant) of doc, event is streamed to subscribers of other ones
+     * if it is omitted for plain object
+     * @returns {Object} event {id, type, doc, connection}
+     */
+    publish(type, doc, connection) {
+        let isDocument = doc instanceof mongoose.Document;
+        let event = {
+            id: ++this.lastEventId,
+            type: type,
+            doc: JSON.parse(JSON.stringify(isDocument ? doc.toObject({depopulate: true}) : doc)),
+            connection: connection || (isDocument ? doc.constructor.db : null)
+        };
+        this.eventBuffer.push(event);
+        if (this.eventBuffer.length > this.options.eventBufferSize) {
+            this.eventBuffer.shift();
+        }
+        this.changes.emit('change', event);
+        return event;
+    }
+
+    /**
+     * Apply pre hooks of action changing loaded doc, doc state before hooks is kept for audit.
+     * Preconditions are checked against loaded doc but failure is reported after hooks,
+     * so access checks of hooks (eg ownership) take precedence over 412
+     * @param {String} action update, delete, restore or purge
+     * @param {Object} req
+     * @param {Object} res
+     * @param {Object} doc
+     * @returns {Promise} resolves with doc
+     */
+    applyPreHooks(action, req, res, doc) {
+        let precondition = null;
+        try {
+            this.checkVersion(req, doc);
+        } catch (err) {
+            precondition = err;
+        }
+        if (this.options.audit) {
+            this.auditSnapshots.set(doc, doc.toObject({depopulate: true}));
+        }
+        return this.applyHooks('pre', action, req, res, doc)
+            .then(doc => {
+                if (precondition) {
+                    throw precondition;
+                }
+                return doc;
+            });
+    }
+
+    /**
+     * Apply post hooks of action, then publish change event with doc state before hooks
+     * @param {String} action
+     * @param {String} type event type
+     * @param {Object} req
+     * @param {Object} res
+     * @param {Object} doc
+     * @returns {Promise} resolves with result of hooks
+     */
+    applyPostHooks(action, type, req, res, doc) {
+        let snapshot = doc.toObject({depopulate: true});
+        return this.auditChange(action, req, doc, snapshot)
+            .then(() => this.applyHooks('post', action, req, res, doc))
+            .then(result => {
+                this.publish(type, snapshot, doc.constructor.db);
+                return result;
+            });
+    }
+
+    /**
+     * Record changes made by create, update and delete actions (and static method calls with `statics` option)
+     * to audit collection, enables `_history` and `_revert/:rev` routes
+     * @param {Object=} options
+     * @param {String=} options.collection audit collection name, `audit` by default
+     * @param {Function=} options.actor returns actor of request, `req.user._id` or `req.user.id` by default
+     * @param {Boolean=} options.statics record static method calls with their params
+     * @returns {ModelWrapper}
+     */
+    audit(options) {
+        this.options.audit = Object.assign({
+            collection: 'audit',
+            actor: req => req.user ? req.user._id || req.user.id : null,
+            statics: false
+        }, options);
+        return this;
+    }
+
+    /**
+     * @param {Object} model mongoose model, audit model is registered on its connection
+     * @returns {Object} model of audit entries
+     */
+    auditModel(model) {
+        let name = 'Audit:' + this.options.audit.collection;
+        return model.db.models[name] || model.db.model(name, AUDIT_SCHEMA, this.options.audit.collection);
+    }
+
+    /**
+     * Write audit entry with field level diff, revisions are numbered per document
+     * @param {String} action
+     * @param {Object} req
+     * @param {Object} doc saved (or removed) mongoose document
+     * @param {Object} after doc state after change
+     * @returns {Promise}
+     */
+    auditChange(action, req, doc, after) {
+        if (!this.options.audit) {
+            return Promise.resolve();
+        }
+        let model = this.auditModel(doc.constructor);
+        let before = this.auditSnapshots.get(doc) || {};
+        let removed = action == 'purge' || action == 'delete' && !this.options.softDelete;
+        let changes = diffDocs(before, removed ? {} : after)
+            .filter(change => change.path != doc.schema.options.versionKey);
+        let entry = {
+            model: this.modelName,
+            docId: doc._id,
+            action: req.params.rev ? 'revert' : action,
+            actor: this.options.audit.actor(req),
+            changes: changes,
+            doc: removed ? before : after,
+            createdAt: new Date()
+        };
+        // revision is unique per document, concurrent writer taking the same one retries with the next
+        const write = attempt => model.findOne({model: this.modelName, docId: doc._id}).sort('-rev')
+            .then(last => model.create(Object.assign({rev: (last ? last.rev : 0) + 1}, entry)))
+            .catch(err => {
+                if ((err.code == 11000 || err.code == 11001) && attempt < AUDIT_WRITE_ATTEMPTS) {
+                    return write(attempt + 1);
+                }
+                throw err;
+            });
+        return write(1);
+    }
+
+    /**
+     * Record audit entries and publish change events of docs changed by bulk action, one per changed doc
+     * @param {String} action update or delete, also event type
+     * @param {Object} req
+     * @param {Array} before docs loaded before change
+     * @param {Array|null} after the same docs loaded after change, null if they are removed
+     * @returns {Promise}
+     */
+    recordBulk(action, req, before, after) {
+        let states = new Map(before.map(doc => [String(doc._id), doc.toObject({depopulate: true})]));
+        return Promise.all((after || before).map(doc => {
+            let state = states.get(String(doc._id));
+            let snapshot = doc.toObject({depopulate: true});
+            if (after && isEqual(state, snapshot)) {
+                return null;
+            }
+            this.auditSnapshots.set(doc, state);
+            return this.auditChange(action, req, doc, snapshot)
+                .then(() => this.publish(action, snapshot, doc.constructor.db));
+        }));
+    }
+
+    /**
+     * List audit entries of document, fields hidden for request are omitted from changes.
+     * Document is loaded with `findOne` hooks applied
+     * @param {Object} req
+     * @param {Object} res
+     * @param {Function} next
+     */
+    history(req, res, next) {
+        let model;
+        this.initModel(req, res)
+            .then(_model => {
+                model = _model;
+                return this.findParent(model, req, res);
+            })
+            .then(doc => this.auditModel(model).find({model: this.modelName, docId: doc._id}, 'rev action actor changes createdAt').sort('rev'))
+            .then(entries => {
+                let hidden = this.hiddenFields(res);
+                let view = this.getView(req);
+                res.send(entries.map(entry => {
+                    entry = entry.toObject();
+                    delete entry._id;
+                    entry.changes = this.serializeChanges(entry.changes, hidden, view);
+                    return entry;
+                }));
+            })
+            .catch(next);
+    };
+
+    /**
+     * Restore document state of revision, `update` hooks are applied and revert is recorded as new revision
+     * @param {Object} req
+     * @param {Object} res
+     * @param {Function} next
+     */
+    revert(req, res, next) {
+        let model;
+        let doc;
+        this.initModel(req, res)
+            .then(_model => {
+                model = _model;
+                return this.findById(req.params.id, model);
+            })
+            .then(_doc => {
+                doc = _doc;
+                return this.auditModel(model).findOne({model: this.modelName, docId: doc._id, rev: Number(req.params.rev)});
+            })
+            .then(entry => {
+                if (!entry || !entry.doc) {
+                    throw new NotFoundError();
+                }
+                return this.applyPreHooks('update', req, res, doc)
+                    .then(doc => {
+                        let original = doc.toObject({depopulate: true});
+                        let state = cloneDeep(entry.doc);
+                        let keep = ['_id', doc.schema.options.versionKey].concat(this.options.softDelete ? [this.options.softDelete.field] : []);
+                        // fields protected from update keep current values like with PUT
+                        flattenPaths(original).concat(flattenPaths(state))
+                            .filter(path => keep.indexOf(path.split('.')[0]) !== -1 || !this.isWritable('update', path))
+                            .forEach(path => setPath(state, path, getPath(original, path)));
+                        Object.keys(Object.assign({}, original, state)).forEach(key => doc.set(key, state[key]));
+                        return doc.save();
+                    });
+            })
+            .then(doc => {
+                this.setCacheHeaders(res, doc);
+                return this.applyPostHooks('update', 'update', req, res, doc);
+            })
+            .then(doc => this.send(req, res, doc))
+            .catch(next);
+    };
+
+    /**
+     * Configure search by `q` param of find route and `_search` route.
+     * Model text index is used when present, otherwise words are searched in given fields with regex
+     * @param {Object} options
+     * @param {Array=} options.fields fields searched with case-insensitive regex
+     * @param {String=} options.scoreField name of text score field, `score` by default
+     * @param {Boolean=} options.text false to use regex search even if model has text index
+     * @returns {ModelWrapper}
+     */
+    searchable(options) {
+        this.options.search = Object.assign({fields: [], scoreField: 'score', text: true}, options);
+        return this;
+    }
+
+    /**
+     * @returns {Boolean} true if model has text index which is used for search
+     */
+    hasTextIndex() {
+        let options = this.options.search || {};
+        return options.text !== false && this.model().schema.indexes()
+            .some(index => Object.keys(index[0]).some(key => index[0][key] === 'text'));
+    }
+
+    /**
+     * @returns {Boolean}
+     */
+    isSearchable() {
+        return this.hasTextIndex() || !!(this.options.search && this.options.search.fields.length);
+    }
+
+    /**
+     * Add search condition for `q` param to query. With text index docs are sorted by text score
+     * unless other sort or cursor is passed, score is included in docs with `score=true` param.
+     * Otherwise each word should match any of search fields
+     * @param {Object} query parsed query
+     * @param {Object} params request query
+     */
+    applySearch(query, params) {
+        let q = typeof params.q === 'string' ? params.q.trim() : '';
+        if (!q || !this.isSearchable()) {
+            return;
+        }
+        let scoreField = this.options.search ? this.options.search.scoreField : 'score';
+        if (!this.hasTextIndex()) {
+            query.filter = mergeFilters(query.filter, {
+                $and: q.split(/\s+/).map(word => ({
+                    $or: this.options.search.fields.map(field => ({[field]: {$regex: escapeRegExp(word), $options: 'i'}}))
+                }))
+            });
+            return;
+        }
+        query.filter = addCondition(query.filter, '$text', {$search: q});
+        let sortByScore = !query.options.sort && typeof query.cursor === 'undefined';
+        if (sortByScore) {
+            query.options.sort = {[scoreField]: {$meta: 'textScore'}};
+        }
+        if (sortByScore || params.score === 'true') {
+            query.projection = addProjection(query.projection, scoreField, {$meta: 'textScore'});
+        }
+        if (params.score !== 'true') {
+            query.omit = [scoreField];
+        }
+    }
+
+    /**
+     * Restrict filter to not deleted docs in soft delete mode
+     * @param {Object} filter
+     * @param {String=} scope `include` to include deleted docs, `only` to find deleted docs only
+     * @returns {Object} filter
+     */
+    scopeDeleted(filter, scope) {
+        if (!this.options.softDelete || scope == 'include') {
+            return filter;
+        }
+        return addCondition(filter, this.options.softDelete.field, scope == 'only' ? {$ne: null} : null);
+    }
+
+    /**
+     * @param {Object} req
+     * @returns {Boolean} true if deleted docs are requested with `withDeleted` param
+     */
+    withDeleted(req) {
+        return !!this.options.softDelete && req.query.withDeleted === 'true';
+    }
+
+    /**
+     * Middleware of route, find requests with `withDeleted` param use `trash` middleware
+     * @param {Object} route
+     * @returns {Function}
+     */
+    routeMiddleware(route) {
+        let middleware = this.guard(route.middleware);
+        if (['find', 'findOne', 'count'].indexOf(route.action) === -1) {
+            return middleware;
+        }
+        let trash = this.guard('trash');
+        return (req, res, next) => (this.withDeleted(req) ? trash : middleware)(req, res, next);
+    }
+
+    /**
+     * Configure which fields can be used in query filter, sort and populate
+     * and which filter operators are allowed. Hidden fields are never allowed.
+     * @param {Object} policy
+     * @param {Array=} policy.filterable null means all fields
+     * @param {Array=} policy.sortable null means all fields
+     * @param {Array|Object=} policy.populatable null means all fields, object holds fields of populated docs
+     * allowed to select by path (true for all), eg `{user: ['name'], tags: true}`
+     * @param {Number=} policy.populateDepth max nesting of populate, null means no limit
+     * @param {Array=} policy.operators
+     * @returns {ModelWrapper}
+     */
+    queryPolicy(policy) {
+        Object.assign(this.options.queryPolicy, policy);
+        return this;
+    }
+
+    /**
+     * Check if field can be used for given purpose according to query policy
+     * @param {String} type filterable, sortable or populatable
+     * @param {String} path
+     * @param {Array=} hidden fields hidden for request, see isHidden
+     * @returns {Boolean}
+     */
+    isQueryable(type, path, hidden) {
+        let allowed = this.options.queryPolicy[type];
+        if (isPlainObject(allowed)) {
+            allowed = Object.keys(allowed);
+        }
+        return !this.isHidden(path, hidden) && (!allowed || allowed.some(field => coversPath(field, path)));
+    }
+
+    /**
+     * @param {String} path
+     * @param {Array=} hidden fields hidden for request (see hiddenFields), static hidden fields by default
+     * @returns {Boolean} true if path is hidden field, its subpath or parent
+     */
+    isHidden(path, hidden) {
+        return (hidden || this.hidden).some(field => coversPath(field, path) || coversPath(path, field));
+    }
+
+    /**
+     * Check filter against query policy, in strict mode unknown paths are rejected unless `isAllowed` is passed
+     * @param {Object} filter
+     * @param {Function=} isAllowed checks if field can be used instead of `filterable` policy
+     * @param {Array=} hidden fields hidden for request checked by `filterable` policy
+     * @throws {QueryPolicyError}
+     */
+    checkFilter(filter, isAllowed, hidden) {
+        if (this.options.strict && !isAllowed) {
+            let schema = this.model().schema;
+            this.rejectUnknown(filterPaths(filter).filter(path => !isSchemaPath(schema, path)));
+        }
+        const checkOperator = operator => {
+            if (this.options.queryPolicy.operators.indexOf(operator) === -1) {
+                throw new QueryPolicyError(`Operator ${operator} is not allowed`, {operator: operator});
+            }
+        };
+        const checkField = path => {
+            if (!(isAllowed ? isAllowed(path) : this.isQueryable('filterable', path, hidden))) {
+                throw new QueryPolicyError(`Filtering by field ${path} is not allowed`, {field: path});
+            }
+        };
+        const checkValue = (value, path) => {
+            if (value instanceof Array) {
+                return value.forEach(item => checkValue(item, path));
+            }
+            forEach(isPlainObject(value) ? value : {}, (item, key) => {
+                if (key[0] == '$') {
+                    checkOperator(key);
+                    checkValue(item, path);
+                } else {
+                    checkField(path + '.' + key);
+                    checkValue(item, path + '.' + key);
+                }
+            });
+        };
+        const checkConditions = filter => forEach(filter, (value, key) => {
+            if (key[0] != '$') {
+                checkField(key);
+                return checkValue(value, key);
+            }
+            checkOperator(key);
+            if (['$and', '$or', '$nor'].indexOf(key) !== -1) {
+                (value instanceof Array ? value : [value]).forEach(checkConditions);
+            }
+        });
+        checkConditions(filter);
+    }
+
+    /**
+     * Configure aggregation pipeline stages, group accumulators and fields allowed in `_aggregate` route.
+     * Hidden fields are never allowed, `$match` stages are checked against query policy as well
+     * @param {Object} policy
+     * @param {Array=} policy.stages
+     * @param {Array=} policy.accumulators
+     * @param {Array=} policy.fields null means all fields
+     * @returns {ModelWrapper}
+     */
+    aggregatePolicy(policy) {
+        Object.assign(this.options.aggregatePolicy, policy);
+        return this;
+    }
+
+    /**
+     * @param {String} path
+     * @param {Array=} hidden fields hidden for request, see isHidden
+     * @returns {Boolean}
+     */
+    isAggregatable(path, hidden) {
+        let fields = this.options.aggregatePolicy.fields;
+        return !this.isHidden(path, hidden) && (!fields || fields.some(field => coversPath(field, path)));
+    }
+
+    /**
+     * Check aggregation pipeline against aggregate policy. Expressions can be field references and literals only,
+     * stages after `$group` or `$project` can reference their output fields only
+     * @param {Array} pipeline
+     * @param {Array=} hidden fields hidden for request
+     * @throws {QueryPolicyError}
+     */
+    checkPipeline(pipeline, hidden) {
+        let policy = this.options.aggregatePolicy;
+        let outputs = null;
+        const isOutput = path => outputs.some(field => coversPath(field, path));
+        const checkField = path => {
+            if (!(outputs ? isOutput(path) : this.isAggregatable(path, hidden))) {
+                throw new QueryPolicyError(`Field ${path} is not allowed in aggregation`, {field: path});
+            }
+        };
+        const checkExpression = value => {
+            if (typeof value === 'string' && value[0] == '$') {
+                return checkField(value.slice(1));
+            }
+            if (typeof value === 'object' && value !== null) {
+                throw new QueryPolicyError('Only field references and literals are allowed in aggregation expressions');
+            }
+        };
+        const checks = {
+            $match: value => this.checkFilter(value, outputs ? isOutput : undefined, hidden),
+            $group: value => {
+                if (!isPlainObject(value) || !('_id' in value)) {
+                    throw new QueryPolicyError('$group stage should have _id');
+                }
+                forEach(isPlainObject(value._id) ? value._id : {_id: value._id}, checkExpression);
+                forEach(value, (accumulator, key) => {
+                    let operator = isPlainObject(accumulator) ? Object.keys(accumulator) : [];
+                    if (key == '_id') {
+                        return;
+                    }
+                    if (operator.length != 1 || policy.accumulators.indexOf(operator[0]) === -1) {
+                        throw new QueryPolicyError(`Accumulator ${operator.join(', ') || key} is not allowed`, {operator: operator[0]});
+                    }
+                    checkExpression(accumulator[operator[0]]);
+                });
+                outputs = Object.keys(value);
+            },
+            $sort: value => forEach(value, (direction, key) => {
+                if (direction !== 1 && direction !== -1) {
+                    throw new QueryPolicyError('$sort direction should be 1 or -1');
+                }
+                checkField(key);
+            }),
+            $limit: value => {
+                if (!Number.isInteger(value) || value < 1) {
+                    throw new QueryPolicyError('$limit should be positive integer');
+                }
+            },
+            $project: value => {
+                let included = [];
+                forEach(value, (expression, key) => {
+                    if ([0, 1, true, false].indexOf(expression) !== -1) {
+                        checkField(key);
+                    } else {
+                        checkExpression(expression);
+                    }
+                    if (expression) {
+                        included.push(key);
+                    }
+                });
+                if (included.length) {
+                    outputs = value._id === 0 || value._id === false || ~included.indexOf('_id') ? included : included.concat('_id');
+                }
+            }
+        };
+        if (!(pipeline instanceof Array) || !pipeline.every(isPlainObject)) {
+            throw new QueryPolicyError('Pipeline should be array of stages');
+        }
+        pipeline.forEach(stage => {
+            let name = Object.keys(stage);
+            if (name.length != 1 || policy.stages.indexOf(name[0]) === -1 || !checks[name[0]]) {
+                throw new QueryPolicyError(`Stage ${name.join(', ')} is not allowed`, {operator: name[0]});
+            }
+            checks[name[0]](stage[name[0]]);
+        });
+    }
+
+    /**
+     * Remove JSON Patch operations which change protected paths
+     * or throw WriteProtectionError depending on `protectedWrite` option.
+     * Operations changing document root (empty pointer) are rejected as they touch every path
+     * @param {Array} operations
+     * @returns {Array} operations
+     * @throws {HttpError} 400 for operations on document root
+     */
+    protectOperations(operations) {
+        if (operations.some(operation => operation.op != 'test' && (operation.path === '' || operation.op == 'move' && operation.from === ''))) {
+            throw new HttpError(400, 'Operations on document root are not allowed');
+        }
+        const isDenied = operation => operation.op != 'test' && [operation.path]
+            .concat(operation.op == 'move' ? [operation.from] : [])
+            .some(pointer => !this.isWritable('update', parsePointer(pointer).join('.')));
+        let offending = operations.filter(isDenied);
+        if (offending.length && this.options.protectedWrite == 'reject') {
+            throw new WriteProtectionError(offending.map(operation => parsePointer(operation.path).join('.')));
+        }
+        return operations.filter(operation => !isDenied(operation));
+    }
+
+    /**
+     * Check parsed request query against query policy
+     * @param {Object} query
+     * @param {Array=} hidden fields hidden for request
+     * @throws {QueryPolicyError}
+     */
+    checkQuery(query, hidden) {
+        if (this.options.strict) {
+            let schema = this.model().schema;
+            this.rejectUnknown(filterPaths(query.filter)
+                .concat(parseSort(query.options.sort).map(field => field[0]))
+                .filter(path => !isSchemaPath(schema, path)));
+        }
+        // filter paths are checked for strict mode above along with sort ones
+        this.checkFilter(query.filter, path => this.isQueryable('filterable', path, hidden));
+        parseSort(query.options.sort).forEach(field => {
+            if (!this.isQueryable('sortable', field[0], hidden)) {
+                throw new QueryPolicyError(`Sorting by field ${field[0]} is not allowed`, {field: field[0]});
+            }
+        });
+        let populate = this.checkPopulate(normalizePopulate(query.populate), 1, undefined, hidden);
+        query.populate = populate.length ? populate : undefined;
+    }
+
+    /**
+     * Check populate specs against `populatable` policy, nested specs are checked by policy of populated model
+     * added to Restaman (nested populate of other models is not allowed)
+     * @param {Array} specs normalized populate
+     * @param {Number=} depth
+     * @param {Number=} maxDepth
+     * @param {Array=} hidden fields hidden for request
+     * @returns {Array} specs with select limited to allowed fields
+     * @throws {QueryPolicyError}
+     */
+    checkPopulate(specs, depth, maxDepth, hidden) {
+        depth = depth || 1;
+        maxDepth = typeof maxDepth === 'undefined' ? this.options.queryPolicy.populateDepth : maxDepth;
+        if (maxDepth && specs.length && depth > maxDepth) {
+            throw new QueryPolicyError(`Populate depth is limited to ${maxDepth}`, {depth: depth});
+        }
+        return specs.map(spec => {
+            let path = spec.path;
+            let option = Object.keys(spec).find(key => POPULATE_OPTIONS.indexOf(key) === -1);
+            if (option) {
+                throw new QueryPolicyError(`Populate option ${option} is not allowed`, {option: option});
+            }
+            if (!this.isQueryable('populatable', path, hidden)) {
+                throw new QueryPolicyError(`Populating field ${path} is not allowed`, {field: path});
+            }
+            let target = this.populateTarget(path);
+            let result = {path: path};
+            let select = this.populateSelect(path, spec.select);
+            if (select) {
+                result.select = select;
+            }
+            if (spec.populate && spec.populate.length) {
+                if (!target) {
+                    throw new QueryPolicyError(`Populating fields of ${path} is not allowed`, {field: path});
+                }
+                result.populate = target.checkPopulate(spec.populate, depth + 1, maxDepth);
+            }
+            return result;
+        });
+    }
+
+    /**
+     * @param {String} path populated path
+     * @param {Object|String=} select requested fields of populated docs
+     * @returns {Object|String|undefined} select limited to fields allowed by `populatable` policy
+     * @throws {QueryPolicyError}
+     */
+    populateSelect(path, select) {
+        const matches = (fields, field) => fields.some(item => coversPath(item, field));
+        let populatable = this.options.queryPolicy.populatable;
+        let allowed = isPlainObject(populatable) && populatable[path] instanceof Array ? populatable[path] : null;
+        let fields = projectionToObject(select) || {};
+        let included = Object.keys(fields).filter(field => fields[field]);
+        let excluded = Object.keys(fields).filter(field => !fields[field]);
+        included.forEach(field => {
+            if (field != '_id' && allowed && !matches(allowed, field)) {
+                throw new QueryPolicyError(`Selecting field ${field} of ${path} is not allowed`, {field: path + '.' + field});
+            }
+        });
+        if (!allowed || included.length) {
+            return select;
+        }
+        // exclusions only narrow allowed fields, `_id` is selected if nothing is left
+        return allowed.filter(field => !matches(excluded, field)).join(' ') || '_id';
+    }
+
+    /**
+     * @param {String} path
+     * @returns {ModelWrapper|null} wrapper of model referenced by path if it is added to Restaman
+     */
+    populateTarget(path) {
+        let ref = refModel(this.model().schema, path);
+        return this.registry && ref && this.registry.getModelWrapper(ref) || null;
+    }
+
+    /**
+     * Apply `find` `pre` hooks of populated models added to Restaman, so their filter (with soft delete scope)
+     * becomes `match` and projection becomes `select` of populate specs. Hidden fields of populated models
+     * (rule based ones too) are resolved to `res.locals.populatedHidden` map and can't be selected
+     * @param {Array=} specs normalized populate
+     * @param {Object} req
+     * @param {Object} res
+     * @returns {Promise} resolves with specs
+     * @throws {QueryPolicyError}
+     */
+    preparePopulate(specs, req, res) {
+        return Promise.all((specs || []).map(spec => {
+            let target = this.populateTarget(spec.path);
+            if (!target) {
+                return spec;
+            }
+            let query = {filter: target.scopeDeleted({}), projection: spec.select, options: {}};
+            return target.ruleHiddenFields('find', req, res)
+                .then(fields => {
+                    let hidden = target.hidden.concat(fields);
+                    let select = projectionToObject(spec.select) || {};
+                    Object.keys(select).filter(field => select[field]).forEach(field => {
+                        if (hidden.some(item => coversPath(item, field))) {
+                            throw new QueryPolicyError(`Selecting field ${field} of ${spec.path} is not allowed`, {field: spec.path + '.' + field});
+                        }
+                    });
+                    res.locals.populatedHidden = res.locals.populatedHidden || new Map();
+                    res.locals.populatedHidden.set(target.modelName, hidden);
+                    return target.applyHooks('pre', 'find', req, res, query);
+                })
+                .then(() => target.preparePopulate(spec.populate, req, res))
+                .then(populate => {
+                    let result = Object.assign({}, spec, {select: query.projection});
+                    if (Object.keys(query.filter).length) {
+                        result.match = query.filter;
+                    }
+                    if (populate.length) {
+                        result.populate = populate;
+                    }
+                    return result;
+                });
+        }));
+    }
+
+    /**
+     * Apply `find` `post` hooks of populated models added to Restaman to populated docs,
+     * hooks can modify docs while returned values are ignored
+     * @param {Array} docs
+     * @param {Array=} specs
+     * @param {Object} req
+     * @param {Object} res
+     * @returns {Promise} resolves with docs
+     */
+    populatedHooks(docs, specs, req, res) {
+        return Promise.all((specs || []).map(spec => {
+            let target = this.populateTarget(spec.path);
+            if (!target) {
+                return;
+            }
+            let populated = docs.filter(Boolean)
+                .reduce((list, doc) => list.concat(doc.get(spec.path)), [])
+                .filter(doc => doc instanceof mongoose.Document);
+            return target.applyHooks('post', 'find', req, res, populated)
+                .then(() => target.populatedHooks(populated, spec.populate, req, res));
+        })).then(() => docs);
+    }
+
+    /**
+     * Add function mapping errors of model routes to problem details used by Restaman error handler.
+     * Mapper is called with error and request and should return object like `{status: 404, detail: 'Oops'}`
+     * or nothing to use default mapping
+     * @param {Function} mapper
+     * @returns {ModelWrapper}
+     */
+    errorMapper(mapper) {
+        this.errorMappers.push(mapper);
+        return this;
+    }
+
+    /**
+     * @param {Error} err
+     * @param {Object} req
+     * @returns {Object|undefined} problem details returned by first matched mapper
+     */
+    mapError(err, req) {
+        let problem;
+        this.errorMappers.some(mapper => problem = mapper(err, req));
+        return problem || undefined;
+    }
+
+    /**
+     * Describe model as OpenAPI schema object, hidden fields are omitted and readonly ones are marked as readOnly
+     * @param {Array} models names of models registered with Restaman, refs to them are described with $ref
+     * @returns {Object}
+     */
+    openapiSchema(models) {
+        return schemaToOpenApi(this.model().schema, '', {hidden: this.hidden, readonly: this.readonlyFields, models: models});
+    }
+
+    /**
+     * Describe model routes as OpenAPI paths
+     * @param {Object} options
+     * @param {Boolean=} options.problem describe error responses with Problem schema
+     * @param {Array=} options.models names of models registered with Restaman
+     * @returns {Object}
+     */
+    openapiPaths(options) {
+        let name = this.modelName;
+        let model = this.model();
+        let doc = {$ref: '#/components/schemas/' + name};
+        let id = schemaTypeToOpenApi(model.schema.path('_id'), '_id', {hidden: [], readonly: [], models: []});
+        let limit = {name: 'limit', in: 'query', schema: {type: 'integer', minimum: 0}};
+        if (this.options.maxLimit) {
+            limit.schema.maximum = this.options.maxLimit;
+        }
+        if (this.options.defaultLimit) {
+            limit.schema.default = this.options.defaultLimit;
+        }
+        let views = this.options.serializer && this.options.serializer.views;
+        let view = views ? [{name: 'view', in: 'query', schema: {type: 'string', enum: Object.keys(views)}, description: 'Fields view'}] : [];
+        const parameters = names => names.map(name => name == 'limit' ? limit : {$ref: '#/components/parameters/' + name});
+        const content = (schema, type) => ({[type || 'application/json']: {schema: schema}});
+        const ok = schema => ({200: {description: 'OK', content: content(schema)}});
+        const object = properties => ({type: 'object', properties: properties});
+        const params = method => object(getParamNames(method).reduce((properties, param) => {
+            properties[param] = {};
+            return properties;
+        }, {}));
+        let list = {type: 'array', items: doc};
+        let page = object({items: list, total: {type: 'integer'}, skip: {type: 'integer'}, limit: {type: 'integer', nullable: true}});
+        let cursorPage = object({items: list, limit: {type: 'integer', nullable: true}, nextCursor: {type: 'string', nullable: true}});
+        let operations = {
+            find: () => ({
+                summary: `List ${name} documents`,
+                parameters: parameters(['criteria', 'filter', 'projection', 'fields', 'populate', 'sort', 'skip', 'limit', 'cursor', 'format'])
+                    .concat(this.isSearchable() ? parameters(['q']) : [], view),
+                responses: {200: {description: 'OK', content: Object.assign(
+                    content({oneOf: [this.options.envelope ? page : list, cursorPage]}),
+                    content({type: 'string'}, 'application/x-ndjson'),
+                    content({type: 'string'}, 'text/csv')
+                )}}
+            }),
+            search: () => ({
+                summary: `Search ${name} documents`,
+                parameters: [Object.assign({}, OPENAPI_PARAMETERS.q, {required: true})]
+                    .concat(parameters(['criteria', 'filter', 'projection', 'fields', 'populate', 'sort', 'skip', 'limit', 'cursor']), view),
+                responses: ok({oneOf: [this.options.envelope ? page : list, cursorPage]})
+            }),
+            events: () => ({
+                summary: `Stream ${name} change events`,
+                parameters: parameters(['filter']).concat(view, [
+                    {name: 'Last-Event-ID', in: 'header', schema: {type: 'string'}, description: 'Replay buffered events after this id'}
+                ]),
+                responses: {200: {description: 'Events of create, update and delete types', content: content({type: 'string'}, 'text/event-stream')}}
+            }),
+            count: () => ({
+                summary: `Count ${name} documents`,
+                parameters: parameters(['criteria', 'filter']),
+                responses: ok(object({count: {type: 'integer'}}))
+            }),
+            findOne: () => ({
+                summary: `Get ${name} document`,
+                parameters: parameters(['criteria', 'filter', 'projection', 'fields', 'populate']).concat(view),
+                responses: ok(doc)
+            }),
+            create: () => ({
+                summary: `Create ${name} document`,
+                requestBody: {required: true, content: content(doc)},
+                responses: ok(doc)
+            }),
+            update: () => ({
+                summary: `Update ${name} document`,
+                requestBody: {required: true, content: content(doc)},
+                responses: ok(doc)
+            }),
+            patch: () => ({
+                summary: `Patch ${name} document`,
+                requestBody: {
+                    required: true,
+                    content: Object.assign(content(doc, 'application/merge-patch+json'), content({
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['op', 'path'],
+                            properties: {
+                                op: {type: 'string', enum: JSON_PATCH_OPERATIONS},
+                                path: {type: 'string'},
+                                from: {type: 'string'},
+                                value: {}
+                            }
+                        }
+                    }, 'application/json-patch+json'))
+                },
+                responses: ok(doc)
+            }),
+            replace: () => ({
+                summary: `Replace ${name} document`,
+                requestBody: {required: true, content: content(doc)},
+                responses: Object.assign(ok(doc), this.options.upsert ? {201: {description: 'Created', content: content(doc)}} : {})
+            }),
+            'delete': () => ({
+                summary: `Delete ${name} document`,
+                responses: ok(doc)
+            }),
+            insertMany: () => ({
+                summary: `Insert ${name} documents`,
+                parameters: [{name: 'ordered', in: 'query', schema: {type: 'boolean', default: true}}],
+                requestBody: {required: true, content: content(list)},
+                responses: ok(object({
+                    inserted: {type: 'integer'},
+                    failed: {type: 'integer'},
+                    results: {
+                        type: 'array',
+                        items: object({index: {type: 'integer'}, ok: {type: 'boolean'}, _id: id, error: {type: 'object'}})
+                    }
+                }))
+            }),
+            import: () => ({
+                summary: `Import ${name} documents`,
+                requestBody: {
+                    required: true,
+                    content: Object.assign(content({type: 'string'}, 'application/x-ndjson'), content({type: 'string'}, 'text/csv'))
+                },
+                responses: ok(object({
+                    inserted: {type: 'integer'},
+                    failed: {type: 'integer'},
+                    errors: {type: 'array', items: object({index: {type: 'integer'}, error: {type: 'object'}})}
+                }))
+            }),
+            updateMany: () => ({
+                summary: `Update ${name} documents matching filter`,
+                parameters: [Object.assign({}, OPENAPI_PARAMETERS.filter, {required: true})],
+                requestBody: {required: true, content: content(doc)},
+                responses: ok(object({matched: {type: 'integer'}, modified: {type: 'integer'}}))
+            }),
+            aggregate: () => ({
+                summary: `Aggregate ${name} documents`,
+                parameters: parameters(['filter', 'sort']).concat([
+                    {
+                        name: 'pipeline', in: 'query', schema: {type: 'string'},
+                        description: `JSON array of ${this.options.aggregatePolicy.stages.join(', ')} stages`
+                    },
+                    {name: 'groupBy', in: 'query', schema: {type: 'string'}, description: 'Comma separated fields'},
+                    {name: 'metric', in: 'query', schema: {type: 'string'}, description: 'Comma separated metrics, eg `count,avg:views`'},
+                    limit
+                ]),
+                responses: ok({type: 'array', items: {type: 'object'}})
+            }),
+            trash: () => ({
+                summary: `List deleted ${name} documents`,
+                parameters: parameters(['filter', 'projection', 'populate', 'sort', 'skip', 'limit', 'cursor']),
+                responses: ok({oneOf: [this.options.envelope ? page : list, cursorPage]})
+            }),
+            restore: () => ({
+                summary: `Restore deleted ${name} document`,
+                responses: ok(doc)
+            }),
+            purge: () => ({
+                summary: `Permanently remove deleted ${name} document`,
+                responses: ok(doc)
+            }),
+            history: () => ({
+                summary: `List revisions of ${name} document`,
+                responses: ok({
+                    type: 'array',
+                    items: object({
+                        rev: {type: 'integer'},
+                        action: {type: 'string'},
+                        actor: {},
+                        changes: {type: 'array', items: object({path: {type: 'string'}, from: {}, to: {}})},
+                        createdAt: {type: 'string', format: 'date-time'}
+                    })
+                })
+            }),
+            revert: () => ({
+                summary: `Revert ${name} document to revision`,
+                responses: ok(doc)
+            }),
+            deleteMany: () => ({
+                summary: `Delete ${name} documents matching filter`,
+                parameters: [Object.assign({}, OPENAPI_PARAMETERS.filter, {required: true})],
+                responses: ok(object({deleted: {type: 'integer'}}))
+            })
+        };
+        let paths = {};
+        const add = (path, method, operationId, operation) => {
+            path = (this.getPath() + path).replace(/:(\w+)/g, '{$1}');
+            let pathParameters = (path.match(/{\w+}/g) || []).map(param => param.slice(1, -1))
+                .map(param => ({name: param, in: 'path', required: true, schema: param == 'id' ? id : {type: param == 'rev' ? 'integer' : 'string'}}));
+            if (pathParameters.length) {
+                operation.parameters = pathParameters.concat(operation.parameters || []);
+            }
+            operation.operationId = operationId;
+            operation.tags = [name];
+            operation.responses.default = options.problem
+                ? {description: 'Error', content: content({$ref: '#/components/schemas/Problem'}, 'application/problem+json')}
+                : {description: 'Error'};
+            paths[path] = paths[path] || {};
+            paths[path][method] = operation;
+        };
+        this.getRoutes().forEach(route => {
+            let operation = operations[route.action]();
+            if (route.action == 'create' && route.method == 'put') {
+                // PUT on collection is kept as create alias
+                operation.deprecated = true;
+                return add(route.path, route.method, route.action + name + 'Alias', operation);
+            }
+            add(route.path, route.method, route.action + name, operation);
+        });
+        this.getStatics().forEach(method => add('/' + method.exposeName, 'post', method.exposeName + name, {
+            summary: `Call ${method.name} static method of ${name}`,
+            requestBody: {content: content(method.schema || params(model.schema.statics[method.name]))},
+            responses: ok({})
+        }));
+        this.getMethods().forEach(method => add('/:id/' + method.exposeName, 'post', method.exposeName + name + 'Document', {
+            summary: `Call ${method.name} method of ${name} document`,
+            requestBody: {content: content(method.schema || params(model.schema.methods[method.name]))},
+            responses: ok({})
+        }));
+        this.getRelationRoutes().forEach(route => {
+            let relation = route.relation;
+            let item = relation.model
+                ? {$ref: '#/components/schemas/' + relation.model}
+                : schemaToOpenApi(model.schema.path(relation.path).schema, relation.path + '.', {
+                    hidden: this.hidden,
+                    readonly: this.readonlyFields,
+                    models: options.models || []
+                });
+            let one = route.action != 'findSubdocs' && route.action != 'findRelated';
+            let operation = {
+                summary: `${route.method.toUpperCase()} ${relation.name} of ${name} document`,
+                responses: ok(one ? item : {type: 'array', items: item})
+            };
+            if (route.method == 'post' || route.method == 'put') {
+                operation.requestBody = {required: true, content: content(item)};
+            }
+            add(route.path, route.method, route.action + name + relation.name[0].toUpperCase() + relation.name.slice(1), operation);
+        });
+        return paths;
+    }
+
+    /**
+     * Shortcut for exposeMethod
+     * @param method
+     * @returns {ModelWrapper}
+     */
+    method(method) {
+        this.exposeMethod(method);
+        return this;
+    };
+
+    /**
+     * Shortcut for exposeStatic
+     * @param method
+     * @returns {ModelWrapper}
+     */
+    ['static'](method) {
+        this.exposeStatic(method);
+        return this;
+    };
+
+    // Route handlers
+
+    /**
+     * @param {Object} req
+     * @param {Object} res
+     * @param {Function} next
+     * @param {Object=} values fields set regardless of write protection, eg ref to parent doc
+     */
+    create(req, res, next, values) {
+        if (req.body instanceof Array || !req.body instanceof Object) {
+            let error = new TypeError('Only objects allowed');
+            error.statusCode = 400;
+            return next(error);
+        }
+        this.initModel(req, res)
+            .then(model => this.createDoc(model, req, res, values))
+            .then(doc => this.send(req, res, doc))
+            .catch(next);
+    };
+
+    /**
+     * @param {Object} model
+     * @param {Object} req
+     * @param {Object} res
+     * @param {Object=} values fields set after write protection, eg `_id`
+     * @returns {Promise}
+     */
+    createDoc(model, req, res, values) {
+        this.protectBody('create', req.body);
+        Object.assign(req.body, values);
+        return this.applyHooks('pre', 'create', req, res, req.body)
+            .then(() => model.create(req.body))
+            .then(doc => {
+                this.setCacheHeaders(res, doc);
+                return this.applyPostHooks('create', 'create', req, res, doc);
+            });
+    };
+
+    findOne(req, res, next) {
+        let query = parseQuery(req.query, this.model().schema);
+        this.initModel(req, res)
+            .then(model => {
+                this.checkQuery(query, this.hiddenFields(res));
+                query.filter._id = req.params.id;
+                query.filter = this.scopeDeleted(query.filter, this.withDeleted(req) ? 'include' : undefined);
+                return this.applyHooks('pre', 'findOne', req, res, query)
+                    .then(() => this.preparePopulate(normalizePopulate(query.populate), req, res))
+                    .then(populate => {
+                        let promise = model.findOne(query.filter, query.projection);
+                        if (populate.length) {
+                            promise.populate(populate);
+                        }
+                        return promise.then(doc => this.populatedHooks([doc], populate, req, res)).then(docs => docs[0]);
+                    });
+            })
+            .then(doc => {
+                if (!doc) {
+                    throw new NotFoundError();
+                }
+                this.setCacheHeaders(res, doc);
+                return this.applyHooks('post', 'findOne', req, res, doc);
+            })
+            .then(doc => this.send(req, res, doc))
+            .catch(next);
+    };
+
+    /**
+     * @param {Object} req
+     * @param {Object} res
+     * @param {Function} next
+     * @param {Object=} options
+     * @param {String=} options.scope soft deleted docs scope, see scopeDeleted
+     * @param {Object=} options.filter conditions added to filter regardless of query policy, eg ref to parent doc
+     */
+    find(req, res, next, options) {
+        options = options || {};
+        let query = parseQuery(req.query, this.model().schema);
+        let format = this.exportFormat(req);
+        if (!format) {
+            return next(new HttpError(400, 'Unsupported format ' + req.query.format));
+        }
+        this.initModel(req, res)
+            .then(model => {
+                this.checkQuery(query, this.hiddenFields(res));
+                this.limitOptions(query.options);
+                this.applySearch(query, req.query);
+                forEach(options.filter, (condition, field) => query.filter = addCondition(query.filter, field, condition));
+                query.filter = this.scopeDeleted(query.filter, options.scope || (this.withDeleted(req) ? 'include' : undefined));
+                return this.applyHooks('pre', 'find', req, res, query)
+                    .then(() => this.preparePopulate(normalizePopulate(query.populate), req, res))
+                    .then(populate => {
+                        query.populate = populate.length ? populate : undefined;
+                        if (format != 'json') {
+                            return this.exportDocs(model, query, format, req, res);
+                        }
+                        if (typeof query.cursor !== 'undefined') {
+                            return this.findByCursor(model, query, req, res);
+                        }
+                        if (this.options.envelope) {
+                            return this.findPage(model, query, req, res);
+                        }
+                        return this.findDocs(model, query, query.options, req, res)
+                            .then(docs => this.applyHooks('post', 'find', req, res, docs));
+                    });
+            })
+            .then(result => {
+                if (format != 'json') {
+                    return;
+                }
+                this.setListCacheHeaders(res, result);
+                this.send(req, res, result);
+            })
+            .catch(next);
+    };
+
+    /**
+     * Format of find response by `format` param or `Accept` header
+     * @param {Object} req
+     * @returns {String|undefined} json, ndjson or csv, undefined if format param is not supported
+     */
+    exportFormat(req) {
+        if (req.query.format) {
+            return ['json', 'ndjson', 'csv'].indexOf(req.query.format) !== -1 ? req.query.format : undefined;
+        }
+        return {
+            'application/x-ndjson': 'ndjson',
+            'text/csv': 'csv'
+        }[req.accepts(['application/json', 'application/x-ndjson', 'text/csv'])] || 'json';
+    };
+
+    /**
+     * Stream docs from cursor as NDJSON or CSV, CSV columns are schema paths allowed by projection.
+     * Envelope, cursor pagination and `post find` hooks are not applied, docs are serialized like other responses
+     * @param {Object} model
+     * @param {Object} query parsed query
+     * @param {String} format ndjson or csv
+     * @param {Object} req
+     * @param {Object} res
+     * @returns {Promise} resolves when response is finished, rejects if cursor or serialization fails before first doc
+     */
+    exportDocs(model, query, format, req, res) {
+        let omit = this.hiddenFields(res).concat(query.omit || []);
+        let view = this.getView(req);
+        let columns = format == 'csv' ? csvColumns(model.schema, query.projection, omit) : null;
+        if (columns && view) {
+            columns = columns.filter(column => column.path == '_id' || view.some(field => coversPath(field, column.path)));
+        }
+        if (columns && this.options.serializer && this.options.serializer.id) {
+            columns.filter(column => column.path == '_id').forEach(column => column.path = 'id');
+        }
+        let header = columns ? formatCsvRecord(columns.map(column => column.path)) : '';
+        let docs = model.find(query.filter, query.projection, query.options);
+        if (query.populate) {
+            docs.populate(query.populate);
+        }
+        let cursor = docs.cursor();
+        let transform = new stream.Transform({
+            writableObjectMode: true,
+            transform: (doc, encoding, callback) => {
+                let chunk;
+                try {
+                    let obj = JSON.parse(JSON.stringify(this.serializeDoc(doc, omit, view, {refHidden: res.locals.populatedHidden})));
+                    chunk = header + (columns
+                        ? formatCsvRecord(columns.map(column => formatCsvValue(getPath(obj, column.path), column.json)))
+                        : JSON.stringify(obj) + '\n');
+                } catch (err) {
+                    return callback(err);
+                }
+                header = '';
+                callback(null, chunk);
+            },
+            flush(callback) {
+                callback(null, header);
+            }
+        });
+        res.status(200).type(columns ? 'text/csv' : 'application/x-ndjson');
+        return new Promise((resolve, reject) => {
+            const fail = err => {
+                cursor.unpipe(transform);
+                transform.unpipe(res);
+                if (res.headersSent) {
+                    res.destroy(err);
+                    return resolve();
+                }
+                reject(err);
+            };
+            cursor.on('error', fail);
+            transform.on('error', fail);
+            res.on('close', () => {
+                cursor.close();
+                resolve();
+            });
+            res.on('finish', resolve);
+            cursor.pipe(transform).pipe(res);
+        });
+    };
+
+    /**
+     * @param {Object} model
+     * @param {Object} query parsed query
+     * @param {Object} options query options
+     * @param {Object} req
+     * @param {Object} res
+     * @returns {Promise}
+     */
+    findDocs(model, query, options, req, res) {
+        let promise = model.find(query.filter, query.projection, options);
+        if (query.populate) {
+            promise = promise.populate(query.populate).then(docs => this.populatedHooks(docs, query.populate, req, res));
+        }
+        if (query.omit) {
+            return promise.then(docs => docs.map(doc => {
+                query.omit.forEach(field => doc.set(field, undefined, {strict: false}));
+                return doc;
+            }));
+        }
+        return promise;
+    };
+
+    /**
+     * Find docs and count total for envelope response
+     * @param {Object} model
+     * @param {Object} query parsed query
+     * @param {Object} req
+     * @param {Object} res
+     * @returns {Promise} resolves with {items, total, skip, limit}
+     */
+    findPage(model, query, req, res) {
+        return Promise.all([this.findDocs(model, query, query.options, req, res), model.count(query.filter)])
+            .then(result => {
+                let page = {total: result[1], skip: query.options.skip || 0, limit: query.options.limit || null};
+                return this.applyHooks('post', 'find', req, res, result[0])
+                    .then(docs => {
+                        let links = formatLinks(req, page);
+                        if (links) {
+                            res.set('Link', links);
+                        }
+                        res.set('X-Total-Count', String(page.total));
+                        return Object.assign({items: docs}, page);
+                    });
+            });
+    };
+
+    /**
+     * Keyset pagination for find action.
+     * Cursor holds sort key values of last returned doc, `_id` is always added to sort as tie breaker
+     * @param {Object} model
+     * @param {Object} query parsed query with cursor
+     * @param {Object} req
+     * @param {Object} res
+     * @returns {Promise} resolves with {items, limit, nextCursor}
+     */
+    findByCursor(model, query, req, res) {
+        let sort = parseSort(query.options.sort);
+        if (!sort.some(field => field[0] == '_id')) {
+            sort.push(['_id', 1]);
+        }
+        let sortString = sort.map(field => (field[1] < 0 ? '-' : '') + field[0]).join(' ');
+        if (!query.cursor || query.cursor.values && query.cursor.sort !== sortString) {
+            let error = new Error('Invalid cursor');
+            error.statusCode = 400;
+            return Promise.reject(error);
+        }
+        if (query.cursor.values) {
+            query.filter = mergeFilters(query.filter, parseCursorFilter(sort, query.cursor.values));
+        }
+        let limit = query.options.limit;
+        let options = Object.assign({}, query.options, {sort: sortString});
+        delete options.skip;
+        if (limit) {
+            options.limit = limit + 1; // fetch one more doc to know if next page exists
+        }
+        return this.findDocs(model, query, options, req, res)
+            .then(docs => {
+                let nextCursor = null;
+                if (limit && docs.length > limit) {
+                    docs = docs.slice(0, limit);
+                    let last = docs[docs.length - 1];
+                    nextCursor = encodeCursor(sortString, sort.map(field => last.get(field[0])));
+                    res.set('Link', formatCursorLink(req, nextCursor));
+                }
+                return this.applyHooks('post', 'find', req, res, docs)
+                    .then(docs => ({items: docs, limit: limit || null, nextCursor: nextCursor}));
+            });
+    };
+
+    /**
+     *
+     * @param {Object} req
+     * @param {Object} res
+     * @param {Function} next
+     */
+    update(req, res, next) {
+        this.initModel(req, res)
+            .then(model => this.findById(req.params.id, model))
+            .then(doc => {
+                this.protectBody('update', req.body, doc);
+                return this.applyPreHooks('update', req, res, doc);
+            })
+            .then(doc => Object.assign(doc, req.body).save())
+            .then(doc => {
+                this.setCacheHeaders(res, doc);
+                return this.applyPostHooks('update', 'update', req, res, doc);
+            })
+            .then(doc => this.send(req, res, doc))
+            .catch(next)
+    };
+
+    /**
+     * Partial update using JSON Merge Patch (RFC 7396, also used for `application/json`)
+     * or JSON Patch (RFC 6902) depending on request content type
+     * @param {Object} req
+     * @param {Object} res
+     * @param {Function} next
+     */
+    patch(req, res, next) {
+        let jsonPatch = req.is('application/json-patch+json');
+        if (!jsonPatch && !req.is(['application/merge-patch+json', 'application/json'])) {
+            return next(new HttpError(415));
+        }
+        if (jsonPatch ? !isValidJsonPatch(req.body) : !isPlainObject(req.body)) {
+            return next(new HttpError(400, 'Invalid patch document'));
+        }
+        this.initModel(req, res)
+            .then(model => this.findById(req.params.id, model))
+            .then(doc => {
+                if (jsonPatch) {
+                    if (this.options.strict) {
+                        this.rejectUnknown(req.body
+                            .map(operation => parsePointer(operation.path).join('.'))
+                            .filter(path => !isSchemaPath(doc.schema, path)));
+                    }
+                    req.body = this.protectOperations(req.body);
+                } else {
+                    this.protectBody('update', req.body, doc);
+                }
+                return this.applyPreHooks('update', req, res, doc);
+            })
+            .then(doc => {
+                let original = JSON.parse(JSON.stringify(doc.toObject({depopulate: true})));
+                let patched = jsonPatch
+                    ? applyJsonPatch(cloneDeep(original), req.body)
+                    : applyMergePatch(cloneDeep(original), req.body);
+                if (!isPlainObject(patched)) {
+                    throw new HttpError(422, 'Patch result is not an object');
+                }
+                Object.keys(Object.assign({}, original, patched)).forEach(key => {
+                    if (!isEqual(original[key], patched[key])) {
+                        doc.set(key, patched[key]);
+                    }
+                });
+                return doc.save();
+            })
+            .then(doc => {
+                this.setCacheHeaders(res, doc);
+                return this.applyPostHooks('update', 'update', req, res, doc);
+            })
+            .then(doc => this.send(req, res, doc))
+            .catch(next)
+    };
+
+    /**
+     * Replace document, fields missing in request body are removed except protected ones.
+     * Creates document with `create` hooks if it does not exist and `upsert` option is enabled,
+     * upsert of soft deleted document responds with 409 as it can't be replaced until restored
+     * @param {Object} req
+     * @param {Object} res
+     * @param {Function} next
+     */
+    replace(req, res, next) {
+        if (!isPlainObject(req.body)) {
+            let error = new TypeError('Only objects allowed');
+            error.statusCode = 400;
+            return next(error);
+        }
+        this.initModel(req, res)
+            .then(model => model.findOne({_id: req.params.id})
+                .then(doc => {
+                    let deleted = !!doc && !!this.options.softDelete && doc.get(this.options.softDelete.field) != null;
+                    if (doc && !deleted) {
+                        return this.replaceDoc(doc, req, res);
+                    }
+                    if (!this.options.upsert) {
+                        throw new NotFoundError();
+                    }
+                    if (deleted) {
+                        throw new HttpError(409, 'Document is deleted, restore it before replacing');
+                    }
+                    if (req.get('If-Match')) {
+                        throw new HttpError(412);
+                    }
+                    return this.checkAccess('create', req, res).then(() => {
+                        res.status(201);
+                        return this.createDoc(model, req, res, {_id: req.params.id});
+                    });
+                }))
+            .then(doc => this.send(req, res, doc))
+            .catch(next)
+    };
+
+    /**
+     * @param {Object} doc
+     * @param {Object} req
+     * @param {Object} res
+     * @returns {Promise}
+     */
+    replaceDoc(doc, req, res) {
+        this.protectBody('update', req.body, doc);
+        return this.applyPreHooks('update', req, res, doc)
+            .then(doc => {
+                let original = doc.toObject({depopulate: true});
+                let replacement = cloneDeep(req.body);
+                flattenPaths(original)
+                    .filter(path => path == '_id' || path == doc.schema.options.versionKey || !this.isWritable('update', path))
+                    .forEach(path => setPath(replacement, path, getPath(original, path)));
+                Object.keys(Object.assign({}, original, replacement)).forEach(key => doc.set(key, replacement[key]));
+                return doc.save();
+            })
+            .then(doc => {
+                this.setCacheHeaders(res, doc);
+                return this.applyPostHooks('update', 'update', req, res, doc);
+            });
+    };
+
+    delete(req, res, next) {
+        this.initModel(req, res)
+            .then(model => this.findById(req.params.id, model))
+            .then(doc => {
+                return this.applyPreHooks('delete', req, res, doc);
+            })
+            .then(doc => this.options.softDelete
+                ? doc.set(this.options.softDelete.field, new Date(), {strict: false}).save()
+                : doc.remove())
+            .then(doc => this.applyPostHooks('delete', 'delete', req, res, doc))
+            .then(doc => this.send(req, res, doc))
+            .catch(next)
+    };
+
+    /**
+     * Run aggregation pipeline passed in `pipeline` param or built from `groupBy` and `metric` params.
+     * Filters of `find` `pre` hooks are prepended to pipeline as `$match` stage,
+     * `aggregate` `pre` hooks receive pipeline after validation and can add stages
+     * @param {Object} req
+     * @param {Object} res
+     * @param {Function} next
+     */
+    aggregate(req, res, next) {
+        let pipeline;
+        let model;
+        try {
+            pipeline = parseAggregatePipeline(req.query, this.model().schema);
+            this.checkPipeline(pipeline, this.hiddenFields(res));
+        } catch (err) {
+            return next(err);
+        }
+        this.initModel(req, res)
+            .then(_model => {
+                model = _model;
+                pipeline.some(stage => {
+                    if (stage.$match) {
+                        stage.$match = model.find().cast(model, stage.$match);
+                    }
+                    return stage.$group || stage.$project;
+                });
+                let query = parseQuery({});
+                query.filter = this.scopeDeleted(query.filter);
+                return this.applyHooks('pre', 'find', req, res, query);
+            })
+            .then(query => {
+                if (Object.keys(query.filter).length) {
+                    pipeline.unshift({$match: model.find().cast(model, query.filter)});
+                }
+                return this.applyHooks('pre', 'aggregate', req, res, pipeline);
+            })
+            .then(() => {
+                if (this.options.maxLimit) {
+                    pipeline.push({$limit: this.options.maxLimit});
+                }
+                return model.aggregate(pipeline).exec();
+            })
+            .then(result => this.applyHooks('post', 'aggregate', req, res, result))
+            .then(result => res.send(result))
+            .catch(next)
+    };
+
+    /**
+     * Find docs matching `q` param, see applySearch
+     * @param {Object} req
+     * @param {Object} res
+     * @param {Function} next
+     */
+    search(req, res, next) {
+        if (typeof req.query.q !== 'string' || !req.query.q.trim()) {
+            return next(new HttpError(400, 'Search query is required'));
+        }
+        this.find(req, res, next);
+    };
+
+    /**
+     * Stream change events of docs matching `filter` as Server-Sent Events.
+     * Query is checked and `pre find` hooks are applied once on subscribe,
+     * events missed after `Last-Event-ID` are replayed from buffer.
+     * With soft delete, updates of deleted docs are skipped unless `withDeleted` is requested
+     * @param {Object} req
+     * @param {Object} res
+     * @param {Function} next
+     */
+    events(req, res, next) {
+        let query = parseQuery(req.query, this.model().schema);
+        let model;
+        this.initModel(req, res)
+            .then(_model => {
+                model = _model;
+                this.checkQuery(query, this.hiddenFields(res));
+                return this.applyHooks('pre', 'find', req, res, query)
+                    .then(() => normalizeFilter(model.find().cast(model, query.filter)));
+            })
+            .then(filter => {
+                let unsupported = filterOperators(filter).filter(operator => MATCH_OPERATORS.indexOf(operator) === -1);
+                if (unsupported.length) {
+                    throw new HttpError(400, 'Operators not supported by event stream: ' + unsupported.join(', '));
+                }
+                let hidden = this.hiddenFields(res);
+                let view = this.getView(req);
+                let skipDeleted = this.options.softDelete && !this.withDeleted(req);
+                let send = event => {
+                    if (event.connection && event.connection !== model.db) {
+                        return;
+                    }
+                    if (skipDeleted && event.type != 'delete' && getPath(event.doc, this.options.softDelete.field) != null) {
+                        return;
+                    }
+                    if (!matchFilter(event.doc, filter)) {
+                        return;
+                    }
+                    let doc = this.serializeDoc(event.doc, hidden, view);
+                    res.write('id: ' + event.id + '\nevent: ' + event.type + '\ndata: ' + JSON.stringify(doc) + '\n\n');
+                };
+                let lastEventId = Number(req.get('Last-Event-ID') || req.query.lastEventId) || 0;
+                res.status(200).set({
+                    'Content-Type': 'text/event-stream',
+                    'Cache-Control': 'no-cache',
+                    'Connection': 'keep-alive'
+                });
+                res.flushHeaders();
+                res.write(':ok\n\n');
+                this.eventBuffer.filter(event => event.id > lastEventId).forEach(send);
+                let keepAlive = setInterval(() => res.write(':\n\n'), EVENTS_KEEP_ALIVE);
+                this.changes.on('change', send);
+                req.on('close', () => {
+                    clearInterval(keepAlive);
+                    this.changes.removeListener('change', send);
+                });
+            })
+            .catch(next);
+    };
+
+    /**
+     * List soft deleted docs, `find` hooks are applied
+     * @param {Object} req
+     * @param {Object} res
+     * @param {Function} next
+     */
+    trash(req, res, next) {
+        this.find(req, res, next, {scope: 'only'});
+    };
+
+    /**
+     * Restore soft deleted document
+     * @param {Object} req
+     * @param {Object} res
+     * @param {Function} next
+     */
+    restore(req, res, next) {
+        this.initModel(req, res)
+            .then(model => this.findById(req.params.id, model, 'only'))
+            .then(doc => {
+                return this.applyPreHooks('restore', req, res, doc);
+            })
+            .then(doc => doc.set(this.options.softDelete.field, undefined, {strict: false}).save())
+            .then(doc => this.applyPostHooks('restore', 'update', req, res, doc))
+            .then(doc => this.send(req, res, doc))
+            .catch(next)
+    };
+
+    /**
+     * Permanently remove soft deleted document after retention period
+     * @param {Object} req
+     * @param {Object} res
+     * @param {Function} next
+     */
+    purge(req, res, next) {
+        this.initModel(req, res)
+            .then(model => this.findById(req.params.id, model, 'only'))
+            .then(doc => {
+                let retainUntil = new Date(doc.get(this.options.softDelete.field).getTime() + this.options.softDelete.retentionDays * 86400000);
+                if (retainUntil > new Date()) {
+                    throw new HttpError(409, `Document can not be purged before ${retainUntil.toISOString()}`);
+                }
+                return this.applyPreHooks('purge', req, res, doc);
+            })
+            .then(doc => doc.remove())
+            .then(doc => this.applyPostHooks('purge', 'delete', req, res, doc))
+            .then(doc => this.send(req, res, doc))
+            .catch(next)
+    };
+
+    count(req, res, next) {
+        let scope = this.withDeleted(req) ? 'include' : undefined;
+        let criteria;
+        this.initModel(req, res)
+            .then(model => {
+                criteria = parseQueryFilter(req.query, model.schema);
+                this.checkFilter(criteria, null, this.hiddenFields(res));
+                criteria = this.scopeDeleted(criteria, scope);
+                return this.applyHooks('pre', 'count', req, res, criteria)
+                    .then(() => model.count(criteria));
+            })
+            .then(count => this.applyHooks('post', 'count', req, res, count))
+            .then(count => res.send({count: count}))
+            .catch(next)
+    };
+
+    /**
+     * Insert array of docs, each doc is validated and reported separately.
+     * In ordered mode (default, `?ordered=false` disables it) insert stops at first failed doc
+     * @param {Object} req
+     * @param {Object} res
+     * @param {Function} next
+     */
+    insertMany(req, res, next) {
+        let items = req.body;
+        if (!(items instanceof Array) || !items.every(isPlainObject)) {
+            let error = new TypeError('Only array of objects allowed');
+            error.statusCode = 400;
+            return next(error);
+        }
+        this.initModel(req, res)
+            .then(model => this.insertDocs(model, items, req.query.ordered !== 'false', req, res))
+            .then(result => res.send(result))
+            .catch(next)
+    };
+
+    /**
+     * Validate and insert docs applying `insertMany` hooks
+     * @param {Object} model
+     * @param {Array} items
+     * @param {Boolean} ordered stop at first failed doc
+     * @param {Object} req
+     * @param {Object} res
+     * @returns {Promise} resolves with {inserted, failed, results} report
+     */
+    insertDocs(model, items, ordered, req, res) {
+        let results = items.map((item, index) => ({index: index, ok: false}));
+        let created = [];
+        return this.applyHooks('pre', 'insertMany', req, res, items)
+            .then(() => Promise.all(items.map(item => {
+                try {
+                    this.protectBody('create', item);
+                } catch (err) {
+                    return err;
+                }
+                let doc = new model(item);
+                return doc.validate().then(() => doc, err => err);
+            })))
+            .then(docs => {
+                let failed = docs.findIndex(doc => doc instanceof Error);
+                let candidates = [];
+                docs.forEach((doc, index) => {
+                    if (doc instanceof Error) {
+                        results[index].error = formatBulkError(doc);
+                    } else if (!ordered || !~failed || index < failed) {
+                        candidates.push({index: index, doc: doc});
+                    }
+                });
+                if (!candidates.length) {
+                    return;
+                }
+                return model.insertMany(candidates.map(candidate => candidate.doc.toObject()), {ordered: ordered})
+                    .then(() => [], err => {
+                        let writeErrors = parseWriteErrors(err);
+                        if (!writeErrors) {
+                            throw err;
+                        }
+                        return writeErrors;
+                    })
+                    .then(writeErrors => {
+                        writeErrors.forEach(writeError => results[candidates[writeError.index].index].error = {
+                            name: 'WriteError',
+                            message: writeError.errmsg || writeError.message,
+                            code: writeError.code
+                        });
+                        let stop = ordered && writeErrors.length ? writeErrors[0].index : candidates.length;
+                        candidates.slice(0, stop).forEach(candidate => {
+                            if (!results[candidate.index].error) {
+                                results[candidate.index] = {index: candidate.index, ok: true, _id: candidate.doc._id};
+                                created.push(candidate.doc);
+                            }
+                        });
+                    });
+            })
+            .then(() => {
+                results.forEach(result => {
+                    if (!result.ok && !result.error) {
+                        result.error = {name: 'Skipped', message: 'Not inserted because of previous error'};
+                    }
+                });
+                let inserted = results.filter(result => result.ok).length;
+                return this.applyHooks('post', 'insertMany', req, res, {
+                    inserted: inserted,
+                    failed: results.length - inserted,
+                    results: results
+                });
+            })
+            .then(result => Promise.all(created.map(doc => this.auditChange('create', req, doc, doc.toObject({depopulate: true}))))
+                .then(() => {
+                    created.forEach(doc => this.publish('create', doc));
+                    return result;
+                }));
+    };
+
+    /**
+     * Import NDJSON (`application/x-ndjson`) or CSV (`text/csv`) request body streamed in batches
+     * of `importBatchSize` docs, each batch is inserted like unordered insertMany (`insertMany` hooks are applied).
+     * Responds with {inserted, failed, errors} where errors are {index, error} of failed rows
+     * @param {Object} req
+     * @param {Object} res
+     * @param {Function} next
+     */
+    import(req, res, next) {
+        let format = req.is(['application/x-ndjson', 'application/ndjson', 'text/csv']);
+        if (!format) {
+            return next(new HttpError(415, 'Only NDJSON and CSV body allowed'));
+        }
+        let report = {inserted: 0, failed: 0, errors: []};
+        let batch = [];
+        let model;
+        const fail = (index, error) => {
+            report.failed++;
+            report.errors.push({index: index, error: error});
+        };
+        const flush = () => {
+            let rows = batch;
+            batch = [];
+            if (!rows.length) {
+                return Promise.resolve();
+            }
+            return this.insertDocs(model, rows.map(row => row.item), false, req, res)
+                .then(result => result.results.forEach((result, index) => result.ok
+                    ? report.inserted++
+                    : fail(rows[index].index, result.error)));
+        };
+        this.initModel(req, res)
+            .then(_model => new Promise((resolve, reject) => {
+                model = _model;
+                let parser = createRowParser(format == 'text/csv' ? 'csv' : 'ndjson', model.schema);
+                let writer = new stream.Transform({
+                    objectMode: true,
+                    transform: (row, encoding, callback) => {
+                        if (row.error) {
+                            fail(row.index, row.error);
+                            return callback();
+                        }
+                        batch.push(row);
+                        if (batch.length < this.options.importBatchSize) {
+                            return callback();
+                        }
+                        flush().then(() => callback(), callback);
+                    },
+                    flush: callback => flush().then(() => callback(), callback)
+                });
+                req.on('error', reject);
+                parser.on('error', reject);
+                // writer pushes nothing, `end` is emitted after last batch is flushed
+                writer.on('error', reject).on('end', resolve).resume();
+                req.pipe(parser).pipe(writer);
+            }))
+            .then(() => res.send(report))
+            .catch(next);
+    };
+
+    /**
+     * Parse bulk request filter and apply `find` pre hooks (eg ownership filter) followed by action pre hooks.
+     * Filter should be JSON object with conditions, empty filter matching all docs is allowed by `bulkMatchAll` option only
+     * @param {String} action updateMany or deleteMany
+     * @param {Object} req
+     * @param {Object} res
+     * @returns {Promise} resolves with query
+     */
+    bulkQuery(action, req, res) {
+        let filter = req.query.filter;
+        if (typeof filter === 'undefined') {
+            return Promise.reject(new HttpError(400, 'Filter is required'));
+        }
+        if (typeof filter === 'string') {
+            try {
+                filter = JSON.parse(filter);
+            } catch (err) {
+                return Promise.reject(new HttpError(400, 'Filter should be valid JSON'));
+            }
+        }
+        if (!isPlainObject(filter)) {
+            return Promise.reject(new HttpError(400, 'Filter should be object'));
+        }
+        let query = parseQuery(Object.assign({}, req.query, {filter: filter}), this.model().schema);
+        if (!Object.keys(query.filter).length && !this.options.bulkMatchAll) {
+            return Promise.reject(new HttpError(400, 'Filter should not be empty'));
+        }
+        this.checkFilter(query.filter, null, this.hiddenFields(res));
+        query.filter = this.scopeDeleted(query.filter);
+        return this.applyHooks('pre', 'find', req, res, query)
+            .then(() => this.applyHooks('pre', action, req, res, query))
+            .then(() => query);
+    };
+
+    /**
+     * Set fields from request body to all docs matching filter, docs are loaded before and after update
+     * to record audit entries and publish change events per doc
+     * @param {Object} req
+     * @param {Object} res
+     * @param {Function} next
+     */
+    updateMany(req, res, next) {
+        if (!isPlainObject(req.body) || Object.keys(req.body).some(key => key[0] == '$')) {
+            return next(new HttpError(400, 'Only fields allowed'));
+        }
+        let model;
+        let before;
+        this.initModel(req, res)
+            .then(_model => {
+                model = _model;
+                this.protectBody('update', req.body);
+                return this.bulkQuery('updateMany', req, res);
+            })
+            .then(query => model.find(query.filter).then(docs => {
+                before = docs;
+                let filter = addCondition(Object.assign({}, query.filter), '_id', {$in: docs.map(doc => doc._id)});
+                let versionKey = !this.options.versionField && this.versionPath(model.schema);
+                let update = versionKey ? {$set: req.body, $inc: {[versionKey]: 1}} : {$set: req.body};
+                return model.update(filter, update, {multi: true, runValidators: true, context: 'query'});
+            }))
+            .then(raw => model.find({_id: {$in: before.map(doc => doc._id)}})
+                .then(docs => this.recordBulk('update', req, before, docs))
+                .then(() => raw))
+            .then(raw => this.applyHooks('post', 'updateMany', req, res, {matched: raw.n, modified: raw.nModified}))
+            .then(result => res.send(result))
+            .catch(next)
+    };
+
+    /**
+     * Delete all docs matching filter, docs are loaded before deletion to record audit entries
+     * and publish change events per doc
+     * @param {Object} req
+     * @param {Object} res
+     * @param {Function} next
+     */
+    deleteMany(req, res, next) {
+        let model;
+        let before;
+        this.initModel(req, res)
+            .then(_model => {
+                model = _model;
+                return this.bulkQuery('deleteMany', req, res);
+            })
+            .then(query => model.find(query.filter).then(docs => {
+                before = docs;
+                let filter = addCondition(Object.assign({}, query.filter), '_id', {$in: docs.map(doc => doc._id)});
+                return this.options.softDelete
+                    ? model.update(filter, {$set: {[this.options.softDelete.field]: new Date()}}, {multi: true, strict: false})
+                    : model.remove(filter);
+            }))
+            .then(raw => (this.options.softDelete ? model.find({_id: {$in: before.map(doc => doc._id)}}) : Promise.resolve(null))
+                .then(docs => this.recordBulk('delete', req, before, docs))
+                .then(() => raw))
+            .then(raw => this.applyHooks('post', 'deleteMany', req, res, {deleted: (raw.result || raw).n}))
+            .then(result => res.send(result))
+            .catch(next)
+    };
+
+    /**
+     * Find parent doc of nested route applying `findOne` pre hooks, so their filters protect children too
+     * @param {Object} model
+     * @param {Object} req
+     * @param {Object} res
+     * @returns {Promise} resolves with doc or rejects with NotFoundError
+     */
+    findParent(model, req, res) {
+        let query = parseQuery({});
+        query.filter = this.scopeDeleted({_id: req.params.id});
+        return this.applyHooks('pre', 'findOne', req, res, query)
+            .then(() => model.findOne(query.filter))
+            .then(doc => {
+                if (!doc) {
+                    throw new NotFoundError();
+                }
+                return doc;
+            });
+    };
+
+    /**
+     * List docs of related model referencing parent doc, `relation.wrapper` is ModelWrapper of related model
+     * @param {Object} relation
+     * @param {Object} req
+     * @param {Object} res
+     * @param {Function} next
+     */
+    findRelated(relation, req, res, next) {
+        this.initModel(req, res)
+            .then(model => this.findParent(model, req, res))
+            .then(parent => relation.wrapper.find(req, res, next, {filter: {[relation.field]: parent._id}}))
+            .catch(next);
+    };
+
+    /**
+     * Create doc of related model referencing parent doc
+     * @param {Object} relation
+     * @param {Object} req
+     * @param {Object} res
+     * @param {Function} next
+     */
+    createRelated(relation, req, res, next) {
+        this.initModel(req, res)
+            .then(model => this.findParent(model, req, res))
+            .then(parent => relation.wrapper.create(req, res, next, {[relation.field]: parent._id}))
+            .catch(next);
+    };
+
+    /**
+     * Serialize subdocument with hidden fields, view and transforms of subdocument array paths
+     * @param {Object} relation
+     * @param {Object} subdoc
+     * @param {Object} req
+     * @param {Object} res
+     * @returns {Object}
+     */
+    formatSubdoc(relation, subdoc, req, res) {
+        let view = this.getView(req);
+        if (view && view.indexOf(relation.path) !== -1) {
+            view = null;
+        }
+        return this.serializeDoc(subdoc, this.hiddenFields(res), view, {prefix: relation.path + '.'});
+    };
+
+    /**
+     * Find parent doc with `findOne` hooks
+     * @param {Object} relation
+     * @param {Object} req
+     * @param {Object} res
+     * @returns {Promise} resolves with subdocuments array
+     */
+    loadSubdocs(relation, req, res) {
+        return this.initModel(req, res)
+            .then(model => this.findParent(model, req, res))
+            .then(doc => this.applyHooks('post', 'findOne', req, res, doc).then(() => doc))
+            .then(doc => doc.get(relation.path) || []);
+    };
+
+    /**
+     * @param {Object} relation
+     * @param {Object} req
+     * @param {Object} res
+     * @param {Function} next
+     */
+    findSubdocs(relation, req, res, next) {
+        this.loadSubdocs(relation, req, res)
+            .then(subdocs => res.send(subdocs.map(subdoc => this.formatSubdoc(relation, subdoc, req, res))))
+            .catch(next);
+    };
+
+    /**
+     * @param {Object} relation
+     * @param {Object} req
+     * @param {Object} res
+     * @param {Function} next
+     */
+    findSubdoc(relation, req, res, next) {
+        this.loadSubdocs(relation, req, res)
+            .then(subdocs => {
+                let subdoc = subdocs.id(req.params.subId);
+                if (!subdoc) {
+                    throw new NotFoundError();
+                }
+                res.send(this.formatSubdoc(relation, subdoc, req, res));
+            })
+            .catch(next);
+    };
+
+    /**
+     * Change subdocuments of parent doc found with `findOne` hooks, parent `update` hooks are applied
+     * @param {Object} relation
+     * @param {Object} req
+     * @param {Object} res
+     * @param {Function} next
+     * @param {Function} change receives subdocuments array and returns changed subdocument
+     */
+    updateSubdocs(relation, req, res, next, change) {
+        if (!isPlainObject(req.body)) {
+            let error = new TypeError('Only objects allowed');
+            error.statusCode = 400;
+            return next(error);
+        }
+        let subdoc;
+        this.initModel(req, res)
+            .then(model => this.findParent(model, req, res))
+            .then(doc => {
+                req.body = this.protectBody('update', {[relation.path]: req.body})[relation.path] || {};
+                return this.applyPreHooks('update', req, res, doc);
+            })
+            .then(doc => {
+                subdoc = change(doc.get(relation.path));
+                return doc.save();
+            })
+            .then(doc => {
+                this.setCacheHeaders(res, doc);
+                return this.applyPostHooks('update', 'update', req, res, doc);
+            })
+            .then(() => res.send(this.formatSubdoc(relation, subdoc, req, res)))
+            .catch(next);
+    };
+
+    /**
+     * @param {Object} relation
+     * @param {Object} req
+     * @param {Object} res
+     * @param {Function} next
+     */
+    createSubdoc(relation, req, res, next) {
+        this.updateSubdocs(relation, req, res, next, subdocs => {
+            subdocs.push(req.body);
+            return subdocs[subdocs.length - 1];
+        });
+    };
+
+    /**
+     * Replace subdocument, fields missing in request body are removed except `_id` and protected ones
+     * @param {Object} relation
+     * @param {Object} req
+     * @param {Object} res
+     * @param {Function} next
+     */
+    replaceSubdoc(relation, req, res, next) {
+        this.updateSubdocs(relation, req, res, next, subdocs => {
+            let subdoc = subdocs.id(req.params.subId);
+            if (!subdoc) {
+                throw new NotFoundError();
+            }
+            let original = subdoc.toObject({depopulate: true});
+            let replacement = cloneDeep(req.body);
+            flattenPaths(original)
+                .filter(path => path == '_id' || !this.isWritable('update', relation.path + '.' + path))
+                .forEach(path => setPath(replacement, path, getPath(original, path)));
+            subdocs.set(subdocs.indexOf(subdoc), replacement);
+            return subdocs.id(req.params.subId);
+        });
+    };
+
+    /**
+     * @param {Object} relation
+     * @param {Object} req
+     * @param {Object} res
+     * @param {Function} next
+     */
+    deleteSubdoc(relation, req, res, next) {
+        this.updateSubdocs(relation, req, res, next, subdocs => {
+            let subdoc = subdocs.id(req.params.subId);
+            if (!subdoc) {
+                throw new NotFoundError();
+            }
+            subdoc.remove();
+            return subdoc;
+        });
+    };
+
+    /**
+     * Load document by id and invoke its instance method,
+     * method params are bound by name from request body validated against method schema
+     * @param {String|Object} method name of instance method or exposed method
+     * @param {Object} req
+     * @param {Object} res
+     * @param {Function} next
+     */
+    callMethod(method, req, res, next) {
+        let params;
+        try {
+            params = parseArguments(method, req.body);
+        } catch (err) {
+            return next(err);
+        }
+        method = method.name || method;
+        let doc;
+        this.initModel(req, res)
+            .then(model => this.findById(req.params.id, model))
+            .then(_doc => {
+                doc = _doc;
+                return this.applyHooks('pre', 'method', req, res, method, doc);
             })
-            .get(path, modelWrapper.middleware('find'), function (req, res, next) {
-                modelWrapper.find(req, res, next);
+            .then(() => {
+                let _method = doc[method];
+                return _method.apply(doc, getParamNames(_method).map(paramName => params[paramName]));
             })
-            .post(path, modelWrapper.middleware('create'), function (req, res, next) {
-                modelWrapper.create(req, res, next);
+            .then(result => this.applyHooks('post', 'method', req, res, method, result, doc))
+            .then(result => this.sendResult(req, res, result))
+            .catch(next)
+    };
+
+    /**
+     * Invoke static method, params are bound as for instance methods
+     * @param {String|Object} method name of static method or exposed method
+     * @param {Object} req
+     * @param {Object} res
+     * @param {Function} next
+     */
+    callStatic(method, req, res, next) {
+        let params;
+        try {
+            params = parseArguments(method, req.body);
+        } catch (err) {
+            return next(err);
+        }
+        method = method.name || method;
+        let model;
+        this.initModel(req, res)
+            .then(_model => {
+                model = _model;
+                return this.applyHooks('pre', 'static', req, res, method);
             })
-            .post(path + '/:id', modelWrapper.middleware('update'), function (req, res, next) {
-                modelWrapper.update(req, res, next);
+            .then(() => {
+                let _method = model[method];
+                return _method.apply(model, getParamNames(_method).map(paramName => params[paramName]));
             })
-            .put(path, modelWrapper.middleware('create'), function (req, res, next) {
-                modelWrapper.create(req, res, next);
+            .then(result => {
+                if (!this.options.audit || !this.options.audit.statics) {
+                    return result;
+                }
+                return this.auditModel(model)
+                    .create({
+                        model: this.modelName,
+                        action: 'static',
+                        method: method,
+                        params: params,
+                        actor: this.options.audit.actor(req),
+                        createdAt: new Date()
+                    })
+                    .then(() => result);
             })
-            .delete(path + '/:id', modelWrapper.middleware('delete'), function (req, res, next) {
-                modelWrapper.delete(req, res, next);
+            .then(result => this.applyHooks('post', 'static', req, res, method, result))
+            .then(result => this.sendResult(req, res, result))
+            .catch(next)
+    };
+}
+
+
+class Restaman {
+
+    /**
+     * @param {Object=} options default options for added models, see ModelWrapper
+     */
+    constructor(options) {
+        this.models = [];
+        this.options = Object.assign({}, options);
+        /**
+         * Connections (or promises of them) by tenant id
+         * @type {Map}
+         */
+        this.tenantConnections = new Map();
+    }
+
+    /**
+     * Resolve tenant of request by `tenant` option and its connection, connections are cached per tenant.
+     * Option is {from, key, tenants, connection} where `from` is `header` (`X-Tenant` by default key), `param`
+     * (`tenant`), `subdomain` or function of request returning tenant id (or promise),
+     * `tenants` is allowlist array or function of tenant id and request returning boolean (or promise),
+     * `connection` is function of tenant id returning mongoose connection (or promise),
+     * by default database named as tenant is used with `useDb`
+     * @returns {Function} middleware setting `res.locals.tenant` and `res.locals.connection`
+     */
+    tenantMiddleware() {
+        let options = Object.assign({from: 'header', connection: useDb}, this.options.tenant);
+        const sources = {
+            header: req => req.get(options.key || 'X-Tenant'),
+            param: req => req.params[options.key || 'tenant'],
+            subdomain: req => req.subdomains[req.subdomains.length - 1]
+        };
+        const isAllowed = (tenant, req) => options.tenants instanceof Function
+            ? options.tenants(tenant, req)
+            : (options.tenants || []).indexOf(tenant) !== -1;
+        return (req, res, next) => {
+            let tenant;
+            Promise.resolve()
+                .then(() => options.from instanceof Function ? options.from(req) : sources[options.from](req))
+                .then(_tenant => {
+                    tenant = _tenant;
+                    if (tenant == null || tenant === '') {
+                        throw new HttpError(400, 'Tenant is required');
+                    }
+                    return isAllowed(tenant, req);
+                })
+                .then(allowed => {
+                    if (!allowed) {
+                        throw new HttpError(404, 'Unknown tenant');
+                    }
+                    if (!this.tenantConnections.has(tenant)) {
+                        this.tenantConnections.set(tenant, Promise.resolve(options.connection(tenant))
+                            .catch(err => {
+                                this.tenantConnections.delete(tenant);
+                                throw err;
+                            }));
+                    }
+                    return this.tenantConnections.get(tenant);
+                })
+                .then(connection => {
+                    res.locals.tenant = tenant;
+                    res.locals.connection = connection;
+                    next();
+                })
+                .catch(next);
+        };
+    };
+
+
+    /**
+     * create ModelWrapper instance
+     * for given model name or mongoose Model instance
+     * @param model
+     * @returns {ModelWrapper}
+     */
+    addModel(model) {
+        var modelWrapper = new ModelWrapper(model, this.options);
+        if (this.getModelWrapper(modelWrapper.modelName)) {
+            throw new Error('Model already registered');
+        }
+        this.models.push(modelWrapper);
+        return modelWrapper;
+    };
+
+    /**
+     * remove ModelWrapper instance
+     * for given model name
+     * @param model
+     * @returns {Restaman}
+     */
+    removeModel(modelName) {
+        let index = this.models.findIndex(modelWrapper => modelWrapper.modelName == modelName);
+        if (~index) {
+            this.models.splice(index, 1);
+        }
+        return this;
+    };
+
+    /**
+     * return ModelWrapper instance for given model name
+     * @param {String} modelName name of Mongoose model
+     * @returns {ModelWrapper}
+     */
+    getModelWrapper(modelName) {
+        return this.models.find(modelWrapper => modelWrapper.modelName == modelName)
+    };
+
+    /**
+     * Prepare ModelWrapper and add to router
+     */
+    setupModel(modelWrapper, router) {
+        modelWrapper.registry = this;
+        this.setupModelRoutes(modelWrapper, router);
+
+    }
+    /**
+     *
+     * @param {ModelWrapper} modelWrapper
+     * @param {Object} router
+     */
+    setupModelRoutes(modelWrapper, router) {
+
+        let path = modelWrapper.getPath();
+        router.use(path, function (req, res, next) {
+            res.locals.modelWrapper = modelWrapper;
+            next();
+        });
+        const allow = routes => forEach(routes, (methods, routePath) => {
+            let header = methods.concat('OPTIONS').join(', ');
+            router
+                .options(routePath, function (req, res) {
+                    res.status(204).set('Allow', header).end();
+                })
+                .all(routePath, function (req, res) {
+                    res.status(405).set('Allow', header).end();
+                });
+        });
+
+        let allowed = {};
+        modelWrapper.getStatics().forEach(method => {
+            allowed[path + '/' + method.exposeName] = ['POST'];
+            router.post(path + '/' + method.exposeName, (req, res, next) =>
+                modelWrapper.authorize('static', req, res).then(() => modelWrapper.callStatic(method, req, res, next), next)
+            );
+        });
+        modelWrapper.getMethods().forEach(method => {
+            allowed[path + '/:id/' + method.exposeName] = ['POST'];
+            router.post(path + '/:id/' + method.exposeName, modelWrapper.guard('method'), (req, res, next) =>
+                modelWrapper.callMethod(method, req, res, next)
+            );
+        });
+        // register before action routes, so static paths are not handled by `/:id` routes
+        allow(allowed);
+
+        allowed = {};
+        modelWrapper.getRelationRoutes().forEach(route => {
+            let routePath = path + route.path;
+            let relation = route.relation;
+            let middleware = [modelWrapper.guard(route.middleware)];
+            if (relation.model) {
+                let related = this.getModelWrapper(relation.model);
+                if (!related) {
+                    throw new Error(`Model ${relation.model} of relation ${relation.name} is not added`);
+                }
+                relation = Object.assign({wrapper: related}, relation);
+                middleware.push(related.guard(route.childMiddleware));
+            }
+            allowed[routePath] = (allowed[routePath] || []).concat(route.method == 'get' ? ['GET', 'HEAD'] : [route.method.toUpperCase()]);
+            router[route.method](routePath, middleware, function (req, res, next) {
+                modelWrapper[route.action](relation, req, res, next);
+            });
+        });
+        modelWrapper.getRoutes().forEach(route => {
+            let routePath = path + route.path;
+            allowed[routePath] = (allowed[routePath] || []).concat(route.method == 'get' ? ['GET', 'HEAD'] : [route.method.toUpperCase()]);
+            router[route.method](routePath, modelWrapper.routeMiddleware(route), function (req, res, next) {
+                modelWrapper[route.action](req, res, next);
             });
+        });
+
+        allow(allowed);
+    };
+
+    /**
+     * Build OpenAPI 3 specification of registered models routes
+     * @param {Object=} options
+     * @param {Object=} options.info OpenAPI info object
+     * @param {Array=} options.servers OpenAPI servers list, eg `[{url: '/api'}]`
+     * @returns {Object}
+     */
+    openapi(options) {
+        options = Object.assign({info: {title: 'REST API', version: '1.0.0'}}, options);
+        let models = this.models.map(modelWrapper => modelWrapper.modelName);
+        let spec = {
+            openapi: '3.0.0',
+            info: options.info,
+            paths: {},
+            components: {schemas: {}, parameters: cloneDeep(OPENAPI_PARAMETERS)}
+        };
+        if (options.servers) {
+            spec.servers = options.servers;
+        }
+        if (this.options.errorHandler) {
+            spec.components.schemas.Problem = {
+                type: 'object',
+                properties: {
+                    type: {type: 'string'},
+                    title: {type: 'string'},
+                    status: {type: 'integer'},
+                    detail: {type: 'string'},
+                    errors: {
+                        type: 'array',
+                        items: {type: 'object', properties: {path: {type: 'string'}, message: {type: 'string'}}}
+                    }
+                }
+            };
+        }
+        this.models.forEach(modelWrapper => {
+            spec.components.schemas[modelWrapper.modelName] = modelWrapper.openapiSchema(models);
+            Object.assign(spec.paths, modelWrapper.openapiPaths({problem: !!this.options.errorHandler, models: models}));
+        });
+        return spec;
+    };
+
+    initRouter(router) {
+        router.use(bodyParser.json({type: ['application/json', 'application/*+json']}));
+        if (this.options.openapi) {
+            router.get('/openapi.json', (req, res) => {
+                res.send(this.openapi(Object.assign({servers: [{url: req.baseUrl || '/'}]}, this.options.openapi)));
+            });
+        }
+        if (this.options.tenant) {
+            router.use(this.tenantMiddleware());
+        }
+        this.models.forEach(model => this.setupModel(model, router));
+        if (this.options.errorHandler) {
+            router.use(errorHandler);
+        }
+        return this;
+    };
+
+    router(params) {
+        let router = express.Router(params);
+        this.initRouter(router);
+        return router;
+    };
+
+}
+
+class NotFoundError extends Error {
+    constructor() {
+        super('Document Not Found');
+        this.statusCode = 404;
+        this.name = 'Not Found';
+    }
+}
+
+/**
+ * Convert mongoose schema to OpenAPI schema object
+ * @param {Object} schema mongoose schema
+ * @param {String} prefix path prefix of subdocument schema
+ * @param {Object} context {hidden, readonly, models}
+ * @returns {Object}
+ */
+function schemaToOpenApi(schema, prefix, context) {
+    let result = {type: 'object', properties: {}};
+    const matches = (fields, path) => fields.some(field => coversPath(field, path));
+    schema.eachPath((path, schemaType) => {
+        if (matches(context.hidden, prefix + path)) {
+            return;
+        }
+        let keys = path.split('.');
+        let key = keys.pop();
+        let target = keys.reduce((target, key) => target.properties[key] = target.properties[key] || {type: 'object', properties: {}}, result);
+        let property = schemaTypeToOpenApi(schemaType, prefix + path, context);
+        if (matches(context.readonly, prefix + path)) {
+            property.readOnly = true;
+        }
+        if (schemaType.isRequired) {
+            target.required = (target.required || []).concat(key);
+        }
+        target.properties[key] = property;
+    });
+    return result;
+}
+
+/**
+ * Convert mongoose schema type to OpenAPI schema object
+ * @param {Object} schemaType
+ * @param {String} path
+ * @param {Object} context {hidden, readonly, models}
+ * @returns {Object}
+ */
+function schemaTypeToOpenApi(schemaType, path, context) {
+    let options = schemaType.options || {};
+    let property;
+    switch (schemaType.instance) {
+        case 'String':
+            property = {type: 'string'};
+            if (schemaType.enumValues && schemaType.enumValues.length) {
+                property.enum = schemaType.enumValues.slice();
+            }
+            break;
+        case 'Number':
+            property = {type: 'number'};
+            if (typeof options.min === 'number') {
+                property.minimum = options.min;
+            }
+            if (typeof options.max === 'number') {
+                property.maximum = options.max;
+            }
+            break;
+        case 'Boolean':
+            property = {type: 'boolean'};
+            break;
+        case 'Date':
+            property = {type: 'string', format: 'date-time'};
+            break;
+        case 'ObjectID':
+            property = {type: 'string', pattern: '^[0-9a-fA-F]{24}$'};
+            break;
+        case 'Decimal128':
+            property = {type: 'string'};
+            break;
+        case 'Buffer':
+            property = {type: 'string', format: 'byte'};
+            break;
+        case 'Embedded':
+            property = schemaToOpenApi(schemaType.schema, path + '.', context);
+            break;
+        case 'Array':
+            property = {
+                type: 'array',
+                items: schemaType.schema
+                    ? schemaToOpenApi(schemaType.schema, path + '.', context)
+                    : schemaType.caster instanceof mongoose.SchemaType ? schemaTypeToOpenApi(schemaType.caster, path, context) : {}
+            };
+            break;
+        default:
+            property = {};
+    }
+    if (typeof options.ref === 'string') {
+        property = ~context.models.indexOf(options.ref)
+            ? {oneOf: [property, {$ref: '#/components/schemas/' + options.ref}]}
+            : Object.assign(property, {description: `${options.ref} id`});
+    } else if (typeof options.default !== 'undefined' && typeof options.default !== 'function') {
+        property.default = options.default;
+    }
+    return property;
+}
+
+/**
+ * Parse aggregation pipeline from `pipeline` JSON param or build it from
+ * `filter`, `groupBy`, `metric` (`count`, `sum:field`, `avg:field`, `min:field`, `max:field`), `sort` and `limit` params
+ * @param {Object} query request query
+ * @returns {Array}
+ * @throws {HttpError} 400 for invalid params
+ */
+function parseAggregatePipeline(query, schema) {
+    let pipeline = [];
+    let filter = parseQueryFilter(query, schema);
+    if (Object.keys(filter).length) {
+        pipeline.push({$match: filter});
+    }
+    if (typeof query.pipeline !== 'undefined') {
+        let stages = parseJSON(query.pipeline);
+        if (!(stages instanceof Array)) {
+            throw new HttpError(400, 'Pipeline should be JSON array');
+        }
+        return pipeline.concat(stages);
+    }
+    let groupBy = (query.groupBy || '').split(',').filter(Boolean);
+    let group = {_id: null};
+    let project = {_id: 0};
+    if (groupBy.length == 1) {
+        group._id = '$' + groupBy[0];
+        project[groupBy[0]] = '$_id';
+    } else if (groupBy.length) {
+        group._id = {};
+        groupBy.forEach(field => {
+            group._id[field.replace(/\./g, '_')] = '$' + field;
+            project[field] = '$_id.' + field.replace(/\./g, '_');
+        });
+    }
+    (query.metric || 'count').split(',').filter(Boolean).forEach(metric => {
+        let parts = metric.split(':');
+        if (parts[0] == 'count' && parts.length == 1) {
+            group.count = {$sum: 1};
+            project.count = 1;
+        } else if (parts.length == 2 && ['sum', 'avg', 'min', 'max'].indexOf(parts[0]) !== -1) {
+            let key = parts[0] + '_' + parts[1].replace(/\./g, '_');
+            group[key] = {['$' + parts[0]]: '$' + parts[1]};
+            project[key] = 1;
+        } else {
+            throw new HttpError(400, `Invalid metric ${metric}`);
+        }
+    });
+    pipeline.push({$group: group}, {$project: project});
+    let sort = parseSort(query.sort);
+    if (sort.length) {
+        pipeline.push({$sort: sort.reduce((result, field) => Object.assign(result, {[field[0]]: field[1]}), {})});
+    }
+    if (query.limit) {
+        pipeline.push({$limit: parseInt(query.limit, 10)});
+    }
+    return pipeline;
+}
+
+/**
+ * Field level diff of plain docs, nested objects are compared by leaf paths
+ * @param {Object} before
+ * @param {Object} after
+ * @returns {Array} list of {path, from, to}
+ */
+function diffDocs(before, after) {
+    let paths = flattenPaths(before).concat(flattenPaths(after));
+    return paths
+        .filter((path, index) => paths.indexOf(path) === index && !isEqual(getPath(before, path), getPath(after, path)))
+        .map(path => ({path: path, from: getPath(before, path), to: getPath(after, path)}));
+}
+
+/**
+ * Add field to projection, string projection is converted to object
+ * @param {Object|String|null} projection
+ * @param {String} field
+ * @param {*} value
+ * @returns {Object}
+ */
+function addProjection(projection, field, value) {
+    return Object.assign({}, projectionToObject(projection), {[field]: value});
+}
+
+/**
+ * Convert string projection like `title -content` to object
+ * @param {Object|String|null} projection
+ * @returns {Object|null}
+ */
+function projectionToObject(projection) {
+    if (typeof projection === 'string') {
+        return projection.split(/\s+/).filter(Boolean)
+            .reduce((result, path) => Object.assign(result, path[0] == '-' ? {[path.slice(1)]: 0} : {[path]: 1}), {});
+    }
+    return projection;
+}
+
+/**
+ * CSV columns of export, nested paths are flattened, array and mixed paths are JSON encoded
+ * @param {Object} schema mongoose schema
+ * @param {Object|String|null} projection
+ * @param {Array} omit hidden and omitted fields
+ * @returns {Array} list of {path, json}
+ */
+function csvColumns(schema, projection, omit) {
+    const matches = (fields, path) => fields.some(field => coversPath(field, path) || coversPath(path, field));
+    let fields = projectionToObject(projection) || {};
+    let included = Object.keys(fields).filter(field => fields[field] && !isPlainObject(fields[field]));
+    let excluded = Object.keys(fields).filter(field => !fields[field]);
+    let columns = [];
+    schema.eachPath((path, schemaType) => {
+        let hidden = omit.some(field => coversPath(field, path));
+        let selected = path == '_id' ? fields._id !== 0 : !included.length || matches(included, path);
+        if (!hidden && selected && !matches(excluded.filter(field => field != '_id'), path)) {
+            columns.push({path: path, json: ['Array', 'Mixed'].indexOf(schemaType.instance) !== -1});
+        }
+    });
+    return columns;
+}
+
+/**
+ * @param {*} value
+ * @param {Boolean} json encode value as JSON
+ * @returns {String}
+ */
+function formatCsvValue(value, json) {
+    if (value === null || typeof value === 'undefined') {
+        return '';
+    }
+    return json || typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * @param {Array} cells
+ * @returns {String} CSV line with quoted cells where needed
+ */
+function formatCsvRecord(cells) {
+    return cells.map(cell => /[",\r\n]/.test(cell) ? '"' + cell.replace(/"/g, '""') + '"' : cell).join(',') + '\r\n';
+}
+
+/**
+ * @param {String} record CSV line
+ * @returns {Array} cells
+ */
+function parseCsvRecord(record) {
+    let cells = [];
+    let cell = '';
+    let quoted = false;
+    record = record.replace(/\r$/, '');
+    for (let i = 0; i < record.length; i++) {
+        let char = record[i];
+        if (quoted && char == '"' && record[i + 1] == '"') {
+            cell += char;
+            i++;
+        } else if (char == '"') {
+            quoted = !quoted;
+        } else if (char == ',' && !quoted) {
+            cells.push(cell);
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    cells.push(cell);
+    return cells;
+}
+
+/**
+ * Split text into complete lines, line breaks inside CSV quotes are kept
+ * @param {String} text
+ * @param {Boolean} quoted respect CSV quotes
+ * @returns {Object} {records, rest} where rest is incomplete last line
+ */
+function splitRecords(text, quoted) {
+    let records = [];
+    let start = 0;
+    let inQuotes = false;
+    for (let i = 0; i < text.length; i++) {
+        if (quoted && text[i] == '"') {
+            inQuotes = !inQuotes;
+        } else if (text[i] == '\n' && !inQuotes) {
+            records.push(text.slice(start, i));
+            start = i + 1;
+        }
+    }
+    return {records: records, rest: text.slice(start)};
+}
+
+/**
+ * Transform stream parsing NDJSON or CSV text into rows {index, item} or {index, error}.
+ * CSV header holds schema paths, empty cells are skipped and cells of array and mixed paths are parsed as JSON.
+ * Stream fails with 400 error if header has unknown path
+ * @param {String} format ndjson or csv
+ * @param {Object} schema mongoose schema
+ * @returns {stream.Transform}
+ */
+function createRowParser(format, schema) {
+    let decoder = new StringDecoder('utf8');
+    let text = '';
+    let header = null;
+    let index = 0;
+    const parseRecord = record => {
+        if (format == 'ndjson') {
+            let item = JSON.parse(record);
+            if (!isPlainObject(item)) {
+                throw new TypeError('Only objects allowed');
+            }
+            return item;
+        }
+        let cells = parseCsvRecord(record);
+        let item = {};
+        header.forEach((path, i) => {
+            let schemaType = schema.path(path);
+            if (!path || typeof cells[i] === 'undefined' || cells[i] === '') {
+                return;
+            }
+            setPath(item, path, schemaType && ['Array', 'Mixed'].indexOf(schemaType.instance) !== -1 ? JSON.parse(cells[i]) : cells[i]);
+        });
+        return item;
     };
+    const parseHeader = record => parseCsvRecord(record).map(path => {
+        if (path && (!isSchemaPath(schema, path) || path.split('.').some(key => UNSAFE_KEYS.indexOf(key) !== -1))) {
+            throw new HttpError(400, `Unknown column ${path}`);
+        }
+        return path;
+    });
+    const push = (parser, records) => records.forEach(record => {
+        if (!record.trim()) {
+            return;
+        }
+        if (format == 'csv' && !header) {
+            header = parseHeader(record);
+            return;
+        }
+        let row = {index: index};
+        try {
+            row.item = parseRecord(record);
+        } catch (err) {
+            row.error = formatBulkError(err);
+        }
+        index++;
+        parser.push(row);
+    });
+    return new stream.Transform({
+        readableObjectMode: true,
+        transform(chunk, encoding, callback) {
+            let split = splitRecords(text + decoder.write(chunk), format == 'csv');
+            text = split.rest;
+            try {
+                push(this, split.records);
+            } catch (err) {
+                return callback(err);
+            }
+            callback();
+        },
+        flush(callback) {
+            try {
+                push(this, [text + decoder.end()]);
+            } catch (err) {
+                return callback(err);
+            }
+            callback();
+        }
+    });
+}
 
-    initRouter(router) {
-        router.use(bodyParser.json());
-        this.models.forEach(model => this.setupModel(model, router));
-        return this;
-    };
+/**
+ * Add field condition to filter, filter is wrapped with `$and` if it has condition for the field already
+ * @param {Object} filter
+ * @param {String} field
+ * @param {*} condition
+ * @returns {Object} filter
+ */
+function addCondition(filter, field, condition) {
+    return typeof filter[field] === 'undefined' ? Object.assign(filter, {[field]: condition}) : mergeFilters(filter, {[field]: condition});
+}
 
-    router(params) {
-        let router = express.Router(params);
-        this.initRouter(router);
-        return router;
-    };
+/**
+ * Connections of databases switched with useDb by name
+ * @type {Map}
+ */
+const databases = new Map();
+
+/**
+ * Connection of named database sharing default connection pool, cached to reuse compiled models
+ * @param {String} name
+ * @returns {Object}
+ */
+function useDb(name) {
+    if (!databases.has(name)) {
+        databases.set(name, mongoose.connection.useDb(name));
+    }
+    return databases.get(name);
+}
 
+/**
+ * Check access rule, see ModelWrapper.allow
+ * @param {Function|String|Array} rule
+ * @param {Object} context {req, res, user, action}
+ * @returns {Promise} resolves with boolean
+ */
+function checkRule(rule, context) {
+    if (rule instanceof Function) {
+        return Promise.resolve().then(() => rule(context)).then(Boolean);
+    }
+    let roles = context.user ? [].concat(context.user.roles || context.user.role || []) : [];
+    return Promise.resolve([].concat(rule).some(role => roles.indexOf(role) !== -1));
 }
 
-class NotFoundError extends Error {
-    constructor() {
-        super('Document Not Found');
-        this.statusCode = 404;
-        this.name = 'Not Found';
+/**
+ * Express error handler responding with problem details (RFC 7807),
+ * mounted on router when `errorHandler` option is enabled
+ * @param {Error} err
+ * @param {Object} req
+ * @param {Object} res
+ * @param {Function} next
+ */
+function errorHandler(err, req, res, next) {
+    if (res.headersSent) {
+        return next(err);
+    }
+    let problem = formatProblem(err);
+    let modelWrapper = res.locals.modelWrapper;
+    let mapped = modelWrapper && modelWrapper.mapError(err, req);
+    if (mapped) {
+        Object.assign(problem, mapped);
+        problem.title = mapped.title || http.STATUS_CODES[problem.status];
+    }
+    res.status(problem.status).type('application/problem+json').send(problem);
+}
+
+/**
+ * Map error to problem details, mongoose ValidationError, CastError
+ * and duplicate key error are mapped to 422, 400 and 409 statuses
+ * @param {Error} err
+ * @returns {Object}
+ */
+function formatProblem(err) {
+    let status = err.statusCode || err.status || 500;
+    let problem = {};
+    if (err.name == 'ValidationError' && err.errors) {
+        status = 422;
+        problem.errors = Object.keys(err.errors).map(path => ({path: path, message: err.errors[path].message}));
+    } else if (err.name == 'CastError') {
+        status = 400;
+        problem.errors = [{path: err.path, message: err.message}];
+    } else if (err.name == 'VersionError') {
+        status = 409;
+    } else if (err.code == 11000 || err.code == 11001) {
+        status = 409;
+        problem.detail = 'Document with the same unique key already exists';
+    } else if (err.errors instanceof Array) {
+        problem.errors = err.errors;
+    } else if (err.paths) {
+        problem.errors = err.paths.map(path => ({path: path, message: 'Field is not writable'}));
+    } else if (err.field || err.operator) {
+        problem.errors = [err.field ? {path: err.field, message: err.message} : {operator: err.operator, message: err.message}];
+    }
+    return Object.assign({
+        type: 'about:blank',
+        title: http.STATUS_CODES[status],
+        status: status,
+        detail: status < 500 ? err.message : http.STATUS_CODES[status]
+    }, problem);
+}
+
+class HttpError extends Error {
+    /**
+     * Error with response status, can be thrown from hooks to abort action
+     * @param {Number} statusCode
+     * @param {String=} message
+     */
+    constructor(statusCode, message) {
+        super(message || http.STATUS_CODES[statusCode]);
+        this.statusCode = statusCode;
+        this.name = http.STATUS_CODES[statusCode] || 'Error';
+    }
+}
+
+class WriteProtectionError extends Error {
+    constructor(paths) {
+        super(`Fields are not writable: ${paths.join(', ')}`);
+        this.statusCode = 400;
+        this.name = 'Bad Request';
+        this.paths = paths;
+    }
+}
+
+class RequestValidationError extends Error {
+    /**
+     * @param {Array} errors [{path, message}]
+     */
+    constructor(errors) {
+        super(`Invalid fields: ${errors.map(error => error.path).join(', ')}`);
+        this.statusCode = 400;
+        this.name = 'Bad Request';
+        this.errors = errors;
+    }
+}
+
+class QueryPolicyError extends Error {
+    /**
+     * @param {String} message
+     * @param {Object} details rejected field or operator
+     */
+    constructor(message, details) {
+        super(message);
+        this.statusCode = 400;
+        this.name = 'Bad Request';
+        Object.assign(this, details);
+    }
+}
+
+/**
+ * Collect dot separated paths of object leaves, arrays and empty objects are leaves too
+ * @param {Object} obj
+ * @param {String=} prefix
+ * @returns {Array}
+ */
+function flattenPaths(obj, prefix) {
+    let paths = [];
+    forEach(obj, (value, key) => {
+        let path = prefix ? prefix + '.' + key : key;
+        paths = paths.concat(isPlainObject(value) && Object.keys(value).length ? flattenPaths(value, path) : [path]);
+    });
+    return paths;
+}
+
+/**
+ * Check if dot separated path is defined by mongoose schema, array indexes and Mixed subpaths are allowed
+ * @param {Object} schema mongoose schema
+ * @param {String} path
+ * @returns {Boolean}
+ */
+function isSchemaPath(schema, path) {
+    let keys = path.split('.');
+    for (let i = keys.length; i > 0; i--) {
+        let schemaType = schema.path(keys.slice(0, i).join('.'));
+        if (!schemaType) {
+            continue;
+        }
+        let rest = keys.slice(i);
+        if (schemaType.instance == 'Array' && rest.length && /^(\d+|-)$/.test(rest[0])) {
+            rest.shift();
+        }
+        if (!rest.length || schemaType.instance == 'Mixed') {
+            return true;
+        }
+        return !!schemaType.schema && isSchemaPath(schemaType.schema, rest.join('.'));
+    }
+    return ['nested', 'virtual'].indexOf(schema.pathType(path)) !== -1;
+}
+
+/**
+ * Collect body paths unknown to mongoose schema including ones of subdocuments in arrays
+ * @param {Object} schema mongoose schema
+ * @param {Object} body
+ * @returns {Array}
+ */
+function unknownPaths(schema, body) {
+    let paths = [];
+    flattenPaths(body).forEach(path => {
+        let schemaType = schema.path(path);
+        let value = getPath(body, path);
+        if (!isSchemaPath(schema, path)) {
+            paths.push(path);
+        } else if (schemaType && schemaType.schema && value instanceof Array) {
+            value.forEach((item, index) => isPlainObject(item) && unknownPaths(schemaType.schema, item)
+                .forEach(subPath => paths.push(`${path}.${index}.${subPath}`)));
+        }
+    });
+    return paths;
+}
+
+/**
+ * Collect field paths used in query filter including logical operators conditions
+ * @param {Object} filter
+ * @returns {Array}
+ */
+function filterPaths(filter) {
+    let paths = [];
+    forEach(filter, (value, key) => {
+        if (key[0] != '$') {
+            paths.push(key);
+        } else if (['$and', '$or', '$nor'].indexOf(key) !== -1) {
+            (value instanceof Array ? value : [value]).forEach(item => paths = paths.concat(filterPaths(item)));
+        }
+    });
+    return paths;
+}
+
+/**
+ * Convert casted filter values to their JSON form used by published events, regular expressions are kept
+ * @param {*} value
+ * @returns {*}
+ */
+function normalizeFilter(value) {
+    if (value instanceof RegExp) {
+        return value;
+    }
+    if (value instanceof Array) {
+        return value.map(normalizeFilter);
+    }
+    if (isPlainObject(value)) {
+        let result = {};
+        forEach(value, (item, key) => result[key] = normalizeFilter(item));
+        return result;
+    }
+    return typeof value === 'undefined' ? value : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * List operators used in filter
+ * @param {*} filter
+ * @returns {Array}
+ */
+function filterOperators(filter) {
+    let operators = [];
+    if (filter instanceof Array) {
+        filter.forEach(item => operators = operators.concat(filterOperators(item)));
+    } else if (isPlainObject(filter)) {
+        forEach(filter, (value, key) => {
+            if (key[0] == '$' && operators.indexOf(key) === -1) {
+                operators.push(key);
+            }
+            operators = operators.concat(filterOperators(value));
+        });
+    }
+    return operators;
+}
+
+/**
+ * Check plain object against query filter, subset of MongoDB semantics listed in MATCH_OPERATORS
+ * @param {Object} obj
+ * @param {Object} filter
+ * @returns {Boolean}
+ */
+function matchFilter(obj, filter) {
+    return Object.keys(filter || {}).every(key => {
+        let value = filter[key];
+        switch (key) {
+            case '$and':
+                return value.every(item => matchFilter(obj, item));
+            case '$or':
+                return value.some(item => matchFilter(obj, item));
+            case '$nor':
+                return !value.some(item => matchFilter(obj, item));
+        }
+        return matchCondition(getValues(obj, key.split('.')), value);
+    });
+}
+
+/**
+ * Values found by path, arrays on the way are traversed
+ * @param {*} value
+ * @param {Array} keys
+ * @returns {Array}
+ */
+function getValues(value, keys) {
+    if (!keys.length) {
+        return [value];
+    }
+    if (value instanceof Array) {
+        return value.reduce((values, item) => values.concat(getValues(item, keys)), []);
+    }
+    return getValues(isPlainObject(value) ? value[keys[0]] : undefined, keys.slice(1));
+}
+
+function isOperatorObject(value) {
+    return isPlainObject(value) && Object.keys(value).length > 0 && Object.keys(value).every(key => key[0] == '$');
+}
+
+function matchCondition(values, condition) {
+    if (!isOperatorObject(condition)) {
+        return values.some(value => matchValue(value, condition));
+    }
+    return Object.keys(condition).every(operator => {
+        let arg = condition[operator];
+        switch (operator) {
+            case '$eq':
+                return values.some(value => matchValue(value, arg));
+            case '$ne':
+                return !values.some(value => matchValue(value, arg));
+            case '$gt':
+            case '$gte':
+            case '$lt':
+            case '$lte':
+                return values.some(value => (value instanceof Array ? value : [value]).some(item => compareValues(operator, item, arg)));
+            case '$in':
+                return arg.some(item => values.some(value => matchValue(value, item)));
+            case '$nin':
+                return !arg.some(item => values.some(value => matchValue(value, item)));
+            case '$not':
+                return !matchCondition(values, arg);
+            case '$exists':
+                return values.some(value => typeof value !== 'undefined') == Boolean(arg);
+            case '$type':
+                return values.some(value => matchType(value, arg));
+            case '$all':
+                return arg.every(item => values.some(value => matchValue(value, item)));
+            case '$size':
+                return values.some(value => value instanceof Array && value.length === arg);
+            case '$elemMatch':
+                return values.some(value => value instanceof Array && value.some(item => isOperatorObject(arg)
+                    ? matchCondition([item], arg)
+                    : isPlainObject(item) && matchFilter(item, arg)));
+            case '$regex':
+                return values.some(value => matchValue(value, arg instanceof RegExp ? arg : new RegExp(arg, condition.$options)));
+            case '$options':
+                return true;
+        }
+        return false;
+    });
+}
+
+function matchValue(value, expected) {
+    if (expected instanceof RegExp) {
+        return (value instanceof Array ? value : [value]).some(item => typeof item === 'string' && expected.test(item));
+    }
+    if (value instanceof Array && value.some(item => isEqual(item, expected))) {
+        return true;
+    }
+    return isEqual(typeof value === 'undefined' ? null : value, expected);
+}
+
+function compareValues(operator, value, arg) {
+    if (typeof value !== typeof arg || value === null || ['number', 'string'].indexOf(typeof value) === -1) {
+        return false;
+    }
+    switch (operator) {
+        case '$gt':
+            return value > arg;
+        case '$gte':
+            return value >= arg;
+        case '$lt':
+            return value < arg;
+    }
+    return value <= arg;
+}
+
+function matchType(value, type) {
+    let types = {1: 'double', 2: 'string', 3: 'object', 4: 'array', 8: 'bool', 10: 'null', 16: 'int'};
+    type = types[type] || type;
+    switch (type) {
+        case 'double':
+        case 'number':
+            return typeof value === 'number';
+        case 'int':
+            return Number.isInteger(value);
+        case 'string':
+            return typeof value === 'string';
+        case 'object':
+            return isPlainObject(value);
+        case 'array':
+            return value instanceof Array;
+        case 'bool':
+            return typeof value === 'boolean';
+        case 'null':
+            return value === null;
+    }
+    return false;
+}
+
+/**
+ * @param {String} field
+ * @param {String} path
+ * @returns {Boolean} true if path is field itself or its subpath
+ */
+function coversPath(field, path) {
+    return path == field || path.indexOf(field + '.') === 0;
+}
+
+function getPath(obj, path) {
+    return path.split('.').reduce((value, key) => value == null ? undefined : value[key], obj);
+}
+
+/**
+ * Set value of dotted path creating parent objects, paths with `__proto__`, `constructor` or `prototype` key are ignored
+ * @param {Object} obj
+ * @param {String} path
+ * @param {*} value
+ */
+function setPath(obj, path, value) {
+    let keys = path.split('.');
+    if (keys.some(key => UNSAFE_KEYS.indexOf(key) !== -1)) {
+        return;
+    }
+    let last = keys.pop();
+    keys.reduce((target, key) => isPlainObject(target[key]) ? target[key] : target[key] = {}, obj)[last] = value;
+}
+
+/**
+ * Delete path from object and remove parent objects left empty
+ * @param {Object} obj
+ * @param {String} path
+ */
+function unsetPath(obj, path) {
+    let keys = path.split('.');
+    let key = keys.shift();
+    if (!isPlainObject(obj) || !(key in obj)) {
+        return;
+    }
+    if (!keys.length) {
+        delete obj[key];
+    } else {
+        unsetPath(obj[key], keys.join('.'));
+        if (isPlainObject(obj[key]) && !Object.keys(obj[key]).length) {
+            delete obj[key];
+        }
     }
 }
 
 function parseQueryOptions(query) {
     let options = {};
     let formatters = {
-        sort: value => String(value),
+        sort: value => parseSort(value instanceof Array ? value.join(',') : value)
+            .map(field => (field[1] < 0 ? '-' : '') + field[0])
+            .join(' '),
         skip: (value, q) => Number(value || q.start),
         limit: value => Number(value)
     };
@@ -488,7 +4424,16 @@ function parseQueryOptions(query) {
     return options;
 }
 
-function parseQueryFilter(query) { //todo test
+/**
+ * Parse filter from `filter` JSON param and, if schema is passed, from field params like
+ * `name=foo`, `age[gte]=18` or `tags[in]=a,b`. Only schema paths not listed in RESERVED_PARAMS are used,
+ * values are cast to schema types
+ * @param {Object} query request query
+ * @param {Object=} schema mongoose schema
+ * @returns {Object}
+ * @throws {RequestValidationError} if value can't be cast
+ */
+function parseQueryFilter(query, schema) {
     let filter = {};
     if (query.filter !== null) {
         switch (typeof query.filter) {
@@ -500,9 +4445,101 @@ function parseQueryFilter(query) { //todo test
                 break;
         }
     }
+    if (!schema) {
+        return filter;
+    }
+    forEach(query, (value, key) => {
+        let match = key.match(/^(.+)\[(\$?\w+)\]$/); // `age[gte]` key when query is parsed without nesting
+        let path = match ? match[1] : key;
+        if (RESERVED_PARAMS.indexOf(path) !== -1 || !isSchemaPath(schema, path)) {
+            return;
+        }
+        filter = addCondition(filter, path, parseFieldCondition(schema, path, match ? {[match[2]]: value} : value));
+    });
     return filter;
 }
 
+/**
+ * Operands of `$size` are cast to non-negative integers, of `$type` are kept (numbers are cast), `$not` operand
+ * is parsed as condition of the same path, other nested operator objects (eg `$elemMatch`) are rejected
+ * @param {Object} schema
+ * @param {String} path
+ * @param {*} value param value, object of operators (with or without `$`) or list of values matched with `$in`
+ * @returns {*} condition
+ * @throws {RequestValidationError} if value can't be cast or operand is not supported
+ */
+function parseFieldCondition(schema, path, value) {
+    const cast = value => castQueryValue(schema, path, value);
+    const list = value => (value instanceof Array ? value : String(value).split(',')).map(cast);
+    const invalid = message => new RequestValidationError([{path: path, message: message}]);
+    if (value instanceof Array) {
+        return {$in: value.map(cast)};
+    }
+    if (!isPlainObject(value)) {
+        return cast(value);
+    }
+    let condition = {};
+    forEach(value, (operand, operator) => {
+        operator = operator[0] == '$' ? operator : '$' + operator;
+        if (['$in', '$nin', '$all'].indexOf(operator) !== -1) {
+            operand = list(operand);
+        } else if (operator == '$exists') {
+            operand = operand !== 'false' && operand !== '0' && operand !== false;
+        } else if (operator == '$size') {
+            let size = typeof operand === 'string' && operand.trim() !== '' ? Number(operand) : operand;
+            if (typeof size !== 'number' || !Number.isInteger(size) || size < 0) {
+                throw invalid(`Cast to integer failed for value "${operand}" of $size`);
+            }
+            operand = size;
+        } else if (operator == '$type') {
+            operand = typeof operand === 'string' && /^\d+$/.test(operand) ? Number(operand) : operand;
+        } else if (operator == '$not' && isPlainObject(operand)) {
+            operand = parseFieldCondition(schema, path, operand);
+        } else if (isPlainObject(operand) || operand instanceof Array) {
+            throw invalid(`Operand of ${operator} is not supported in field params`);
+        } else {
+            operand = cast(operand);
+        }
+        condition[operator] = operand;
+    });
+    return condition;
+}
+
+/**
+ * Cast string param value to type of schema path (or of its array items)
+ * @param {Object} schema
+ * @param {String} path
+ * @param {*} value
+ * @returns {*}
+ * @throws {RequestValidationError}
+ */
+function castQueryValue(schema, path, value) {
+    let schemaType = schema.path(path);
+    let type = schemaType ? (schemaType.caster && schemaType.caster.instance) || schemaType.instance : null;
+    if (typeof value !== 'string') {
+        return value;
+    }
+    let result = value;
+    switch (type) {
+        case 'Number':
+            result = value.trim() === '' ? NaN : Number(value);
+            break;
+        case 'Date':
+            result = new Date(value);
+            break;
+        case 'Boolean':
+            result = {'true': true, '1': true, 'false': false, '0': false}[value];
+            break;
+        case 'ObjectID':
+            result = mongoose.Types.ObjectId.isValid(value) ? new mongoose.Types.ObjectId(value) : undefined;
+            break;
+    }
+    if (typeof result === 'undefined' || typeof result === 'number' && isNaN(result) || result instanceof Date && isNaN(result.getTime())) {
+        throw new RequestValidationError([{path: path, message: `Cast to ${type} failed for value "${value}"`}]);
+    }
+    return result;
+}
+
 function parseQueryPopulate(query) { //todo test
     let populate;
     if (query.populate) {
@@ -515,8 +4552,41 @@ function parseQueryPopulate(query) { //todo test
     return populate;
 }
 
+/**
+ * Convert parsed populate param to list of specs like `{path, select, populate}` with single path each
+ * @param {String|Object|Array=} populate
+ * @returns {Array}
+ */
+function normalizePopulate(populate) {
+    if (populate instanceof Array) {
+        return populate.reduce((specs, item) => specs.concat(normalizePopulate(item)), []);
+    }
+    if (isPlainObject(populate)) {
+        return normalizePopulate(populate.path).map(spec => {
+            spec = Object.assign({}, populate, spec);
+            if (typeof populate.populate !== 'undefined') {
+                spec.populate = normalizePopulate(populate.populate);
+            }
+            return spec;
+        });
+    }
+    return typeof populate === 'string' ? populate.split(/[\s,]+/).filter(Boolean).map(path => ({path: path})) : [];
+}
+
+/**
+ * @param {Object} schema mongoose schema
+ * @param {String} path
+ * @returns {String|undefined} name of model referenced by path or its array items
+ */
+function refModel(schema, path) {
+    let schemaType = schema.path(path);
+    let options = schemaType && (schemaType.caster && schemaType.caster.options || schemaType.options);
+    let ref = options && options.ref;
+    return typeof ref === 'function' ? ref.modelName : ref;
+}
+
 function parseQueryProjection(query) { //todo test
-    let projection = query.projection || null;
+    let projection = query.projection || (query.fields ? String(query.fields).split(',').join(' ') : null);
     if (projection) {
         try {
             projection = JSON.parse(projection);
@@ -527,29 +4597,441 @@ function parseQueryProjection(query) { //todo test
     return projection;
 }
 
-function parseQuery(query) {
+/**
+ * Parse `cursor` (or `after`) param, empty value means first page
+ * @param {Object} query
+ * @returns {Object|null|undefined} {sort, values}, empty object for first page or null if cursor is invalid
+ */
+function parseQueryCursor(query) {
+    let token = typeof query.cursor !== 'undefined' ? query.cursor : query.after;
+    if (typeof token === 'undefined') {
+        return;
+    }
+    return token ? decodeCursor(token) : {};
+}
+
+function parseQuery(query, schema) {
     return {
-        filter: parseQueryFilter(query),
+        filter: parseQueryFilter(query, schema),
         populate: parseQueryPopulate(query),
         options: parseQueryOptions(query),
-        projection: parseQueryProjection(query)
+        projection: parseQueryProjection(query),
+        cursor: parseQueryCursor(query)
     }
 }
 
-function parseCountCriteria(query) {
-    let result = {};
-    if (typeof query === 'object') {
-        Object.keys(query).forEach(key => {
-            if (typeof query[key] === 'string') {
-                try {
-                    result[key] = JSON.parse(query[key]);
-                } catch (e) {
-                    result[key] = query[key]
-                }
+/**
+ * Parse mongoose sort string like `-createdAt title`
+ * @param {String=} sort
+ * @returns {Array} list of [field, direction] pairs
+ * @throws {HttpError} 400 if sort is not string, eg `sort[title]=1` param
+ */
+function parseSort(sort) {
+    if (sort != null && typeof sort !== 'string') {
+        throw new HttpError(400, 'Sort should be list of fields');
+    }
+    return (sort || '').split(/[\s,]+/).filter(Boolean).map(field => field[0] == '-' ? [field.slice(1), -1] : [field, 1]);
+}
+
+function encodeCursor(sort, values) {
+    return Buffer.from(JSON.stringify({sort: sort, values: values})).toString('base64')
+        .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodeCursor(token) {
+    let cursor = parseJSON(Buffer.from(String(token).replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString());
+    return cursor && typeof cursor.sort === 'string' && cursor.values instanceof Array ? cursor : null;
+}
+
+/**
+ * Build filter matching docs placed after given sort key values
+ * @param {Array} sort list of [field, direction] pairs
+ * @param {Array} values
+ * @returns {Object}
+ */
+function parseCursorFilter(sort, values) {
+    let conditions = sort.map((field, i) => {
+        let condition = {};
+        for (let j = 0; j < i; j++) {
+            condition[sort[j][0]] = values[j];
+        }
+        condition[field[0]] = {[field[1] < 0 ? '$lt' : '$gt']: values[i]};
+        return condition;
+    });
+    return conditions.length == 1 ? conditions[0] : {$or: conditions};
+}
+
+function mergeFilters(filter, extra) {
+    return Object.keys(filter).length ? {$and: [filter, extra]} : extra;
+}
+
+/**
+ * Build RFC 5988 Link header value with first, prev, next and last pages
+ * @param {Object} req
+ * @param {Object} page {total, skip, limit}
+ * @returns {String|undefined}
+ */
+function formatLinks(req, page) {
+    if (!page.limit) {
+        return;
+    }
+    let parsed = url.parse(req.originalUrl, true);
+    let link = (skip, rel) => {
+        let query = Object.assign({}, parsed.query, {skip: skip, limit: page.limit});
+        delete query.start;
+        return `<${url.format({pathname: parsed.pathname, query: query})}>; rel="${rel}"`;
+    };
+    let last = Math.max(Math.ceil(page.total / page.limit) - 1, 0) * page.limit;
+    let links = [link(0, 'first')];
+    if (page.skip > 0) {
+        links.push(link(Math.max(page.skip - page.limit, 0), 'prev'));
+    }
+    if (page.skip + page.limit < page.total) {
+        links.push(link(page.skip + page.limit, 'next'));
+    }
+    links.push(link(last, 'last'));
+    return links.join(', ');
+}
+
+function formatCursorLink(req, cursor) {
+    let parsed = url.parse(req.originalUrl, true);
+    let query = Object.assign({}, parsed.query, {cursor: cursor});
+    delete query.after;
+    return `<${url.format({pathname: parsed.pathname, query: query})}>; rel="next"`;
+}
+
+/**
+ * Apply JSON Merge Patch (RFC 7396), `__proto__`, `constructor` and `prototype` keys are skipped
+ * @param {*} target
+ * @param {*} patch
+ * @returns {*} patched target
+ */
+function applyMergePatch(target, patch) {
+    if (!isPlainObject(patch)) {
+        return cloneDeep(patch);
+    }
+    target = isPlainObject(target) ? target : {};
+    forEach(patch, (value, key) => {
+        if (UNSAFE_KEYS.indexOf(key) !== -1) {
+            return;
+        }
+        if (value === null) {
+            delete target[key];
+        } else {
+            target[key] = applyMergePatch(target[key], value);
+        }
+    });
+    return target;
+}
+
+const JSON_PATCH_OPERATIONS = ['add', 'remove', 'replace', 'move', 'copy', 'test'];
+
+function isValidJsonPatch(operations) {
+    return operations instanceof Array && operations.every(operation => isPlainObject(operation)
+        && ~JSON_PATCH_OPERATIONS.indexOf(operation.op)
+        && typeof operation.path === 'string'
+        && (operation.op != 'move' && operation.op != 'copy' || typeof operation.from === 'string')
+        && (['add', 'replace', 'test'].indexOf(operation.op) === -1 || 'value' in operation));
+}
+
+/**
+ * Parse JSON Pointer (RFC 6901) to list of keys
+ * @param {String} pointer
+ * @returns {Array}
+ * @throws {HttpError} 400 if pointer is invalid or has `__proto__`, `constructor` or `prototype` key
+ */
+function parsePointer(pointer) {
+    if (pointer === '') {
+        return [];
+    }
+    if (pointer[0] != '/') {
+        throw new HttpError(400, `Invalid pointer ${pointer}`);
+    }
+    let keys = pointer.slice(1).split('/').map(key => key.replace(/~1/g, '/').replace(/~0/g, '~'));
+    if (keys.some(key => UNSAFE_KEYS.indexOf(key) !== -1)) {
+        throw new HttpError(400, `Invalid pointer ${pointer}`);
+    }
+    return keys;
+}
+
+/**
+ * Apply JSON Patch (RFC 6902), failed `test` operation produces 409 error
+ * @param {*} target
+ * @param {Array} operations
+ * @returns {*} patched target
+ */
+function applyJsonPatch(target, operations) {
+    const notFound = keys => new HttpError(422, `Path /${keys.join('/')} does not exist`);
+    const get = keys => keys.reduce((value, key) => {
+        if (!(value instanceof Object) || !Object.prototype.hasOwnProperty.call(value, key)) {
+            throw notFound(keys);
+        }
+        return value[key];
+    }, target);
+    const index = (array, key, keys, append) => {
+        let i = key == '-' && append ? array.length : Number(key);
+        if (!/^(0|[1-9]\d*|-)$/.test(key) || isNaN(i) || i > (append ? array.length : array.length - 1)) {
+            throw notFound(keys);
+        }
+        return i;
+    };
+    const add = (keys, value) => {
+        if (!keys.length) {
+            return target = value;
+        }
+        let parent = get(keys.slice(0, -1));
+        let key = keys[keys.length - 1];
+        if (parent instanceof Array) {
+            parent.splice(index(parent, key, keys, true), 0, value);
+        } else if (parent instanceof Object) {
+            parent[key] = value;
+        } else {
+            throw notFound(keys);
+        }
+    };
+    const remove = keys => {
+        let value = get(keys);
+        if (!keys.length) {
+            return target = undefined;
+        }
+        let parent = get(keys.slice(0, -1));
+        let key = keys[keys.length - 1];
+        parent instanceof Array ? parent.splice(index(parent, key, keys), 1) : delete parent[key];
+        return value;
+    };
+    const test = (keys, expected) => {
+        let value;
+        try {
+            value = get(keys);
+        } catch (e) {
+        }
+        if (!isEqual(value, expected)) {
+            throw new HttpError(409, `Test failed for path /${keys.join('/')}`);
+        }
+    };
+    operations.forEach(operation => {
+        let keys = parsePointer(operation.path);
+        switch (operation.op) {
+            case 'add':
+                add(keys, cloneDeep(operation.value));
+                break;
+            case 'remove':
+                remove(keys);
+                break;
+            case 'replace':
+                remove(keys);
+                add(keys, cloneDeep(operation.value));
+                break;
+            case 'move':
+                add(keys, remove(parsePointer(operation.from)));
+                break;
+            case 'copy':
+                add(keys, cloneDeep(get(parsePointer(operation.from))));
+                break;
+            case 'test':
+                test(keys, operation.value);
+                break;
+        }
+    });
+    return target;
+}
+
+/**
+ * Extract write errors from insertMany error
+ * @param {Error} err
+ * @returns {Array|null}
+ */
+function parseWriteErrors(err) {
+    if (err.writeErrors) {
+        return err.writeErrors;
+    }
+    if (err.result && typeof err.result.getWriteErrors === 'function') {
+        return err.result.getWriteErrors();
+    }
+    return typeof err.index === 'number' ? [err] : null;
+}
+
+function formatBulkError(err) {
+    let error = {name: err.name, message: err.message};
+    if (err.errors) {
+        error.errors = {};
+        forEach(err.errors, (fieldError, path) => error.errors[path] = fieldError.message);
+    }
+    if (err.paths) {
+        error.paths = err.paths;
+    }
+    return error;
+}
+
+/**
+ * Type checks of JSON Schema types
+ * @type {Object}
+ */
+const JSON_SCHEMA_TYPES = {
+    string: value => typeof value === 'string',
+    number: value => typeof value === 'number' && isFinite(value),
+    integer: value => Number.isInteger(value),
+    boolean: value => typeof value === 'boolean',
+    object: isPlainObject,
+    array: value => value instanceof Array,
+    'null': value => value === null
+};
+
+/**
+ * Convert per parameter type specs, eg `{limit: {type: 'integer', required: true}, query: 'string'}` to JSON Schema
+ * @param {Object} params
+ * @returns {Object}
+ */
+function paramsToSchema(params) {
+    let schema = {type: 'object', properties: {}, required: []};
+    forEach(params, (spec, name) => {
+        spec = typeof spec === 'string' ? {type: spec} : Object.assign({}, spec);
+        if (spec.required === true) {
+            schema.required.push(name);
+        }
+        delete spec.required;
+        schema.properties[name] = spec;
+    });
+    return schema;
+}
+
+/**
+ * Validate and coerce method arguments passed in request body
+ * @param {String|Object} method exposed method with optional `schema`
+ * @param {Object} body
+ * @returns {Object} arguments by parameter name
+ * @throws {RequestValidationError}
+ */
+function parseArguments(method, body) {
+    body = isPlainObject(body) ? body : {};
+    if (!method.schema) {
+        return body;
+    }
+    let errors = [];
+    let params = validateSchema(method.schema, body, '', errors);
+    if (errors.length) {
+        throw new RequestValidationError(errors);
+    }
+    return params;
+}
+
+/**
+ * Coerce scalar value to JSON Schema type if possible, eg `'5'` to `5` for number
+ * @param {*} value
+ * @param {String} type
+ * @returns {*}
+ */
+function coerceValue(value, type) {
+    if (typeof value === 'string' && (type == 'number' || type == 'integer') && value.trim() !== '' && !isNaN(value)) {
+        return Number(value);
+    }
+    if (typeof value === 'string' && type == 'boolean' && (value == 'true' || value == 'false')) {
+        return value == 'true';
+    }
+    if ((typeof value === 'number' || typeof value === 'boolean') && type == 'string') {
+        return String(value);
+    }
+    return value;
+}
+
+/**
+ * Validate value against subset of JSON Schema (type, enum, minimum, maximum, minLength, maxLength, pattern,
+ * items, minItems, maxItems, properties, required, additionalProperties, default), errors are collected for all paths
+ * @param {Object} schema
+ * @param {*} value
+ * @param {String} path
+ * @param {Array} errors
+ * @returns {*} coerced value
+ */
+function validateSchema(schema, value, path, errors) {
+    const error = message => errors.push({path: path, message: message});
+    const join = key => path ? path + '.' + key : String(key);
+    if (typeof value === 'undefined') {
+        return cloneDeep(schema.default);
+    }
+    let types = [].concat(schema.type || []);
+    if (types.length && !types.some(type => JSON_SCHEMA_TYPES[type](value))) {
+        let type = types.find(type => JSON_SCHEMA_TYPES[type](coerceValue(value, type)));
+        if (!type) {
+            error(`Should be ${types.join(' or ')}`);
+            return value;
+        }
+        value = coerceValue(value, type);
+    }
+    if (schema.enum && !schema.enum.some(item => isEqual(item, value))) {
+        error(`Should be one of: ${schema.enum.join(', ')}`);
+    }
+    if (typeof value === 'number') {
+        if (typeof schema.minimum === 'number' && value < schema.minimum) {
+            error(`Should be >= ${schema.minimum}`);
+        }
+        if (typeof schema.maximum === 'number' && value > schema.maximum) {
+            error(`Should be <= ${schema.maximum}`);
+        }
+    }
+    if (typeof value === 'string') {
+        if (typeof schema.minLength === 'number' && value.length < schema.minLength) {
+            error(`Should not be shorter than ${schema.minLength} characters`);
+        }
+        if (typeof schema.maxLength === 'number' && value.length > schema.maxLength) {
+            error(`Should not be longer than ${schema.maxLength} characters`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            error(`Should match pattern ${schema.pattern}`);
+        }
+    }
+    if (value instanceof Array) {
+        if (typeof schema.minItems === 'number' && value.length < schema.minItems) {
+            error(`Should not have fewer than ${schema.minItems} items`);
+        }
+        if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) {
+            error(`Should not have more than ${schema.maxItems} items`);
+        }
+        if (schema.items) {
+            value = value.map((item, index) => validateSchema(schema.items, item, join(index), errors));
+        }
+    }
+    if (isPlainObject(value) && (schema.properties || schema.required || schema.additionalProperties !== undefined)) {
+        let properties = schema.properties || {};
+        let result = {};
+        (schema.required || []).forEach(key => {
+            if (typeof value[key] === 'undefined') {
+                errors.push({path: join(key), message: 'Field is required'});
+            }
+        });
+        forEach(Object.assign({}, properties, value), (item, key) => {
+            if (properties[key]) {
+                item = validateSchema(properties[key], value[key], join(key), errors);
+            } else if (schema.additionalProperties === false) {
+                return errors.push({path: join(key), message: 'Unknown field'});
+            } else if (isPlainObject(schema.additionalProperties)) {
+                item = validateSchema(schema.additionalProperties, item, join(key), errors);
+            }
+            if (typeof item !== 'undefined') {
+                result[key] = item;
             }
-        })
+        });
+        value = result;
     }
-    return result;
+    return value;
+}
+
+/**
+ * @param {*} value JSON serializable value
+ * @returns {String} base64 sha1 hash of value JSON
+ */
+function hash(value) {
+    return crypto.createHash('sha1').update(JSON.stringify(value)).digest('base64').replace(/=+$/, '');
+}
+
+/**
+ * Check if hook result can replace hook data
+ * @param {*} value
+ * @param {*} data
+ * @returns {Boolean}
+ */
+function isSameType(value, data) {
+    return value != null && typeof value === typeof data && value instanceof Array === data instanceof Array;
 }
 
 function parseJSON(str) {
@@ -562,4 +5044,6 @@ function parseJSON(str) {
 }
 
 module.exports = Restaman;
-module.exports.ModelWrapper = ModelWrapper;
\ No newline at end of file
+module.exports.ModelWrapper = ModelWrapper;
+module.exports.HttpError = HttpError;
+module.exports.errorHandler = errorHandler;
\ No newline at end of file
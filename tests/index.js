@@ -5,9 +5,36 @@ const assert = require('assert');
 const express = require('express');
 const bodyParser = require('body-parser');
 const request = require('supertest');
+const http = require('http');
 
 const Restaman = require('..');
 const ModelWrapper = require('..').ModelWrapper;
+const HttpError = require('..').HttpError;
+
+/**
+ * Serve app on test port for describe block, `setup` configures restaman and mounts its router,
+ * `cleanup` removes fixtures after server is closed, both may return promise
+ * @param {Object} options restaman options
+ * @param {Function} setup called with restaman and express app
+ * @param {Function=} cleanup
+ * @returns {Object} express app
+ */
+function serve(options, setup, cleanup) {
+    const app = express();
+    let server;
+    before(done => {
+        Promise.resolve()
+            .then(() => setup(new Restaman(options), app))
+            .then(() => server = app.listen(3003, done))
+            .catch(done);
+    });
+    after(done => {
+        server.close(() => Promise.resolve()
+            .then(() => cleanup && cleanup())
+            .then(() => done()).catch(done));
+    });
+    return app;
+}
 
 describe('Restaman', function () {
 
@@ -24,15 +51,51 @@ describe('Restaman', function () {
             testSchema.statics.exposedStaticMethod2 = function (param1, param2) {
                 return {message: `exposedStaticMethod2 invoked with: param1: '${param1}', param2: '${param2}'`};
             };
+            testSchema.statics.sum = function (a, b) {
+                return {sum: a + b};
+            };
+            testSchema.methods.exposedMethod = function (param1, param2) {
+                return {message: `exposedMethod of ${this._id} invoked with: param1: '${param1}', param2: '${param2}'`};
+            };
             const postSchema = new mongoose.Schema(
                 {_id: Number, title: String, content: String, user: Number, field1: String, field2: String},
                 {versionKey: false}
             );
 
+            const itemSchema = new mongoose.Schema(
+                {_id: Number, name: String},
+                {versionKey: false}
+            );
+
+            const commentSchema = new mongoose.Schema({
+                text: {type: String, required: true},
+                status: {type: String, enum: ['new', 'approved'], default: 'new'},
+                post: {type: Number, ref: 'Post'},
+                author: {name: String, email: String}
+            });
+
+            const boardSchema = new mongoose.Schema(
+                {_id: Number, user: Number, topics: [{title: String, secret: String}]},
+                {versionKey: false}
+            );
+
+            const articleSchema = new mongoose.Schema({_id: Number, title: String, body: String}, {versionKey: false});
+            articleSchema.index({title: 'text', body: 'text'});
+
             mongoose.model('Post', postSchema);
+            mongoose.model('Article', articleSchema);
+            mongoose.model('User', new mongoose.Schema({_id: Number, name: String, email: String}, {versionKey: false}));
+            mongoose.model('Board', boardSchema);
+            mongoose.model('Task', new mongoose.Schema(
+                {_id: Number, title: String, due: Date, done: Boolean, priority: Number, tags: [String]},
+                {versionKey: false}
+            ));
+            mongoose.model('Comment', commentSchema);
             mongoose.model('Test', testSchema);
+            mongoose.model('Item', itemSchema);
             mongoose.model('Test').remove()
                 .then(() => mongoose.model('Post').remove())
+                .then(() => mongoose.model('Item').remove())
                 .then(() => done()).catch(done);
         });
 
@@ -75,14 +138,23 @@ describe('Restaman', function () {
         });
     });
 
-    describe('Base routes', function () {
-
-        const app = express();
+    describe('Exposing instance method', function () {
         const restaman = new Restaman();
-        let server;
+        let modelWrapper = restaman.addModel('Test');
+
+        it('should add method to methods list', () => {
+            modelWrapper.exposeMethod('exposedMethod');
+            assert.deepEqual(modelWrapper.getMethods(), [{name: 'exposedMethod', exposeName: 'exposedMethod'}])
+        });
+        it('should produce error when method not exists in model methods', () => {
+            assert.throws(() => modelWrapper.exposeMethod('exposedStaticMethod'));
+        });
+    });
+
+    describe('Base routes', function () {
 
-        before(done => {
-            restaman.addModel('Test').exposeStatic('exposedStaticMethod');
+        const app = serve({}, (restaman, app) => {
+            restaman.addModel('Test').static('exposedStaticMethod').method('exposedMethod');
             let router = restaman.router();
             app.use(bodyParser.json());
             app.use('/api', router);
@@ -91,13 +163,8 @@ describe('Restaman', function () {
                 res.send({message: 'OK!!!'})
             });
             app.post('/', (req, res) => res.send(req.body));
-            server = app.listen(3003, () => {
-                done();
-            });
         });
 
-        after(done => server.close(done));
-
 
         it('GET /', done => request(app).get('/')
             .expect('set-cookie', 'cookie=hey; Path=/')
@@ -178,23 +245,61 @@ describe('Restaman', function () {
 
         });
 
+        it(`POST /api/tests/2/exposedMethod`, done => {
+            request(app)
+                .post('/api/tests/2/exposedMethod')
+                .send({param2: 'param2 value', param1: 'param1 value'})
+                .expect(200, {message: `exposedMethod of 2 invoked with: param1: 'param1 value', param2: 'param2 value'`}, done);
+        });
+
+        it(`POST /api/tests/1/exposedMethod of removed doc`, done => {
+            request(app)
+                .post('/api/tests/1/exposedMethod')
+                .expect(404, done);
+        });
+
         it(`OPTIONS /api/tests`, done => {
             request(app)
                 .options('/api/tests')
-                .expect('Allow', 'GET, OPTIONS, DELETE, POST, PUT')
+                .expect('Allow', 'GET, HEAD, POST, PUT, OPTIONS')
+                .expect(204, {}, done);
+
+        });
+
+        it(`PUT /api/tests "{name: 'someName3', _id: 3}"`, done => {
+            request(app)
+                .put('/api/tests')
+                .send({name: 'someName3', _id: 3})
+                .expect(200, {name: 'someName3', _id: 3})
+                .end(err => err ? done(err) : request(app).delete('/api/tests/3').expect(200, done));
+        });
+
+        it(`OPTIONS /api/tests/exposedStaticMethod`, done => {
+            request(app)
+                .options('/api/tests/exposedStaticMethod')
+                .expect('Allow', 'POST, OPTIONS')
                 .expect(204, {}, done);
+        });
 
+        it(`GET /api/tests/exposedStaticMethod`, done => {
+            request(app)
+                .get('/api/tests/exposedStaticMethod')
+                .expect('Allow', 'POST, OPTIONS')
+                .expect(405, done);
+        });
+
+        it(`GET /api/tests/2/exposedMethod`, done => {
+            request(app)
+                .get('/api/tests/2/exposedMethod')
+                .expect('Allow', 'POST, OPTIONS')
+                .expect(405, done);
         });
 
     });
 
     describe('Hooks', function () {
 
-        const app = express();
-        const restaman = new Restaman();
-        let server;
-
-        before(done => {
+        const app = serve({}, (restaman, app) => {
             const filterUser = (req, res, query) => query.filter.user = 1;
             const addContent = (req, res) => req.body.content = 'from pre create hook';
             const updateContent = (req, res, doc) => doc.content = 'from pre update hook';
@@ -246,12 +351,8 @@ describe('Restaman', function () {
             app.use(function (err, req, res, next) {
                 res.status(err.statusCode || 400).send({message: err.message}).end();
             });
-
-            server = app.listen(3003, done);
         });
 
-        after(done => server.close(done));
-
         it(`Add test Post "{title: 'some title', user: 1, _id: 1}"`, done => {
             request(app)
                 .post('/api/posts')
@@ -323,5 +424,1842 @@ describe('Restaman', function () {
         });
     });
 
-});
+    describe('Pagination', function () {
+
+        const app = serve({envelope: true}, (restaman, app) => {
+            restaman.addModel('Item').paginate({defaultLimit: 2, maxLimit: 3});
+            app.use('/api', restaman.router());
+            return mongoose.model('Item').create([1, 2, 3, 4, 5].map(id => ({_id: id, name: `item${id}`})));
+        });
+
+        it('should respond with envelope and default limit', done => {
+            request(app)
+                .get('/api/items')
+                .query({sort: '_id'})
+                .expect('X-Total-Count', '5')
+                .expect(200, {items: [{_id: 1, name: 'item1'}, {_id: 2, name: 'item2'}], total: 5, skip: 0, limit: 2}, done);
+        });
+        it('should add Link header', done => {
+            request(app)
+                .get('/api/items')
+                .query({sort: '_id', skip: 2, limit: 2})
+                .expect('Link', [
+                    '</api/items?sort=_id&skip=0&limit=2>; rel="first"',
+                    '</api/items?sort=_id&skip=0&limit=2>; rel="prev"',
+                    '</api/items?sort=_id&skip=4&limit=2>; rel="next"',
+                    '</api/items?sort=_id&skip=4&limit=2>; rel="last"'
+                ].join(', '))
+                .expect(200, {items: [{_id: 3, name: 'item3'}, {_id: 4, name: 'item4'}], total: 5, skip: 2, limit: 2}, done);
+        });
+        it('should apply max limit', done => {
+            request(app)
+                .get('/api/items')
+                .query({sort: '_id', limit: 100, filter: JSON.stringify({_id: {$gt: 1}})})
+                .expect('X-Total-Count', '4')
+                .expect(200, {items: [{_id: 2, name: 'item2'}, {_id: 3, name: 'item3'}, {_id: 4, name: 'item4'}], total: 4, skip: 0, limit: 3}, done);
+        });
+    });
+
+    describe('Cursor pagination', function () {
+
+        const app = serve({}, (restaman, app) => {
+            restaman.addModel('Item').pre('find', (req, res, query) => query.filter.name = {$ne: 'item3'});
+            app.use('/api', restaman.router());
+        });
+        let nextCursor;
+
+        it('should return first page with next cursor', done => {
+            request(app)
+                .get('/api/items')
+                .query({sort: '-_id', limit: 2, cursor: ''})
+                .expect(200)
+                .expect(res => {
+                    assert.deepEqual(res.body.items, [{_id: 5, name: 'item5'}, {_id: 4, name: 'item4'}]);
+                    assert.ok(res.body.nextCursor);
+                    assert.ok(~res.header.link.indexOf('rel="next"'));
+                    nextCursor = res.body.nextCursor;
+                })
+                .end(done);
+        });
+        it('should return next page using cursor and pre find hook filter', done => {
+            request(app)
+                .get('/api/items')
+                .query({sort: '-_id', limit: 2, after: nextCursor})
+                .expect(200, {items: [{_id: 2, name: 'item2'}, {_id: 1, name: 'item1'}], limit: 2, nextCursor: null}, done);
+        });
+        it('should reject cursor created for other sort', done => {
+            request(app)
+                .get('/api/items')
+                .query({sort: 'name', limit: 2, cursor: nextCursor})
+                .expect(400, done);
+        });
+        it('should reject invalid cursor', done => {
+            request(app)
+                .get('/api/items')
+                .query({cursor: 'invalid'})
+                .expect(400, done);
+        });
+    });
+
+    describe('Write protection', function () {
+
+        const app = serve({}, (restaman, app) => {
+            restaman.addModel('Test').readonly('object.someProp').immutable('name');
+            const strictRestaman = new Restaman({protectedWrite: 'reject'});
+            strictRestaman.addModel('Test').readonly('object.someProp').immutable('name');
+            strictRestaman.addModel('Item').writable('name');
+            app.use('/api', restaman.router());
+            app.use('/strict', strictRestaman.router());
+            app.use(function (err, req, res, next) {
+                res.status(err.statusCode || 500).send({message: err.message, paths: err.paths});
+            });
+        });
+
+        it('should strip readonly fields on create', done => {
+            request(app)
+                .post('/api/tests')
+                .send({_id: 3, name: 'name3', object: {someProp: 'value'}})
+                .expect(200, {_id: 3, name: 'name3'}, done);
+        });
+        it('should strip immutable fields on update', done => {
+            request(app)
+                .post('/api/tests/3')
+                .send({name: 'changed', object: {someProp: 'value'}})
+                .expect(200, {_id: 3, name: 'name3'}, done);
+        });
+        it('should reject changed protected fields', done => {
+            request(app)
+                .post('/strict/tests/3')
+                .send({_id: 3, name: 'changed', object: {someProp: 'value'}})
+                .expect(400, {message: 'Fields are not writable: name, object.someProp', paths: ['name', 'object.someProp']}, done);
+        });
+        it('should allow unchanged protected fields on update', done => {
+            request(app)
+                .post('/strict/tests/3')
+                .send({_id: 3, name: 'name3'})
+                .expect(200, {_id: 3, name: 'name3'}, done);
+        });
+        it('should reject fields not listed as writable', done => {
+            request(app)
+                .post('/strict/items')
+                .send({_id: 10, name: 'item10'})
+                .expect(400, {message: 'Fields are not writable: _id', paths: ['_id']}, done);
+        });
+    });
+
+    describe('Query policy', function () {
+
+        const app = serve({}, (restaman, app) => {
+            restaman.addModel('Post').hide('field1').queryPolicy({sortable: ['title'], populatable: []});
+            app.use('/api', restaman.router());
+            app.use(function (err, req, res, next) {
+                res.status(err.statusCode || 500).send({message: err.message});
+            });
+        });
+
+        it('should allow filter with default operators', done => {
+            request(app)
+                .get('/api/posts')
+                .query({filter: JSON.stringify({_id: {$in: [2]}, title: {$ne: null}}), projection: 'title'})
+                .expect(200, [{_id: 2, title: 'some title'}], done);
+        });
+        it('should reject $where operator', done => {
+            request(app)
+                .get('/api/posts')
+                .query({filter: JSON.stringify({$where: 'sleep(1000)'})})
+                .expect(400, {message: 'Operator $where is not allowed'}, done);
+        });
+        it('should reject nested $regex operator', done => {
+            request(app)
+                .get('/api/posts')
+                .query({filter: JSON.stringify({$or: [{title: {$regex: '(a+)+$'}}]})})
+                .expect(400, {message: 'Operator $regex is not allowed'}, done);
+        });
+        it('should reject filtering by hidden field', done => {
+            request(app)
+                .get('/api/posts/2')
+                .query({filter: JSON.stringify({field1: '111'})})
+                .expect(400, {message: 'Filtering by field field1 is not allowed'}, done);
+        });
+        it('should reject count by hidden field', done => {
+            request(app)
+                .get('/api/posts/count')
+                .query({field1: '111'})
+                .expect(400, {message: 'Filtering by field field1 is not allowed'}, done);
+        });
+        it('should reject sorting by not sortable field', done => {
+            request(app)
+                .get('/api/posts')
+                .query({sort: '-content'})
+                .expect(400, {message: 'Sorting by field content is not allowed'}, done);
+        });
+        it('should reject populating by not populatable field', done => {
+            request(app)
+                .get('/api/posts')
+                .query({populate: 'user'})
+                .expect(400, {message: 'Populating field user is not allowed'}, done);
+        });
+    });
+
+    describe('Async hooks', function () {
+
+        const app = serve({}, (restaman, app) => {
+            const delay = value => new Promise(resolve => setTimeout(() => resolve(value), 10));
+            restaman.addModel('Item')
+                .pre('find', (req, res, query) => delay(['item1', 'item2']).then(names => {
+                    query.filter.name = {$in: names};
+                }))
+                .pre('count', () => delay().then(() => {
+                    throw new HttpError(403, 'count not allowed');
+                }))
+                .pre('delete', () => Promise.reject(new HttpError(403)))
+                .post('find', (req, res, docs) => docs.map(doc => ({name: doc.name})))
+                .post('findOne', (req, res, doc) => delay({id: doc._id, title: doc.name}), {replace: true})
+                .post('findOne', (req, res, doc) => {
+                    doc.transformed = true;
+                });
+            app.use('/api', restaman.router());
+            app.use(function (err, req, res, next) {
+                res.status(err.statusCode || 500).send({message: err.message});
+            });
+        });
 
+        it('should wait for pre find hook', done => {
+            request(app)
+                .get('/api/items')
+                .query({sort: '_id'})
+                .expect(200, [{_id: 1, name: 'item1'}, {_id: 2, name: 'item2'}], done);
+        });
+        it('should abort action when pre hook throws', done => {
+            request(app)
+                .get('/api/items/count')
+                .expect(403, {message: 'count not allowed'}, done);
+        });
+        it('should abort action when pre hook rejects', done => {
+            request(app)
+                .delete('/api/items/1')
+                .expect(403, {message: 'Forbidden'}, done);
+        });
+        it('should replace doc with value returned by post hook', done => {
+            request(app)
+                .get('/api/items/1')
+                .expect(200, {id: 1, title: 'item1', transformed: true}, done);
+        });
+        it('should ignore value returned by post hook without replace option', done => {
+            request(app)
+                .get('/api/items')
+                .query({sort: '_id', limit: 1})
+                .expect(200, [{_id: 1, name: 'item1'}], done);
+        });
+    });
+
+    describe('PATCH', function () {
+
+        const app = serve({}, (restaman, app) => {
+            restaman.addModel('Test').readonly('_id');
+            app.use('/api', restaman.router());
+            app.use(function (err, req, res, next) {
+                res.status(err.statusCode || 500).send({message: err.message});
+            });
+        });
+
+        const patch = (path, type, body) => request(app)
+            .patch(path)
+            .set('Content-Type', type)
+            .send(JSON.stringify(body));
+
+        it('should deep merge JSON Merge Patch', done => {
+            patch('/api/tests/3', 'application/merge-patch+json', {object: {someProp: 'value'}})
+                .expect(200, {_id: 3, name: 'name3', object: {someProp: 'value'}})
+                .end(err => err ? done(err) : patch('/api/tests/3', 'application/merge-patch+json', {name: null, object: {other: 1}})
+                    .expect(200, {_id: 3, object: {someProp: 'value'}}, done));
+        });
+        it('should apply JSON Patch operations', done => {
+            patch('/api/tests/3', 'application/json-patch+json', [
+                {op: 'test', path: '/object/someProp', value: 'value'},
+                {op: 'copy', from: '/object/someProp', path: '/name'},
+                {op: 'replace', path: '/object/someProp', value: 'replaced'},
+                {op: 'replace', path: '/_id', value: 4}
+            ]).expect(200, {_id: 3, name: 'value', object: {someProp: 'replaced'}}, done);
+        });
+        it('should respond with 409 and not save when test operation fails', done => {
+            patch('/api/tests/3', 'application/json-patch+json', [
+                {op: 'remove', path: '/name'},
+                {op: 'test', path: '/object/someProp', value: 'value'}
+            ]).expect(409, {message: 'Test failed for path /object/someProp'})
+                .end(err => err ? done(err) : request(app).get('/api/tests/3')
+                    .expect(200, {_id: 3, name: 'value', object: {someProp: 'replaced'}}, done));
+        });
+        it('should respond with 422 when path does not exist', done => {
+            patch('/api/tests/3', 'application/json-patch+json', [{op: 'remove', path: '/object/missing'}])
+                .expect(422, {message: 'Path /object/missing does not exist'}, done);
+        });
+        it('should reject unsupported content type', done => {
+            patch('/api/tests/3', 'text/plain', 'name=value')
+                .expect(415, done);
+        });
+        it('should skip prototype keys of JSON Merge Patch', done => {
+            request(app)
+                .patch('/api/tests/3')
+                .set('Content-Type', 'application/merge-patch+json')
+                .send('{"__proto__": {"polluted": 1}, "constructor": {"prototype": {"polluted": 1}}}')
+                .expect(200)
+                .end(err => {
+                    assert.strictEqual({}.polluted, undefined);
+                    done(err);
+                });
+        });
+        it('should reject JSON Patch operations on document root', done => {
+            patch('/api/tests/3', 'application/json-patch+json', [{op: 'replace', path: '', value: {_id: 5, name: 'root'}}])
+                .expect(400, {message: 'Operations on document root are not allowed'})
+                .end(err => err ? done(err) : request(app).get('/api/tests/3')
+                    .expect(200)
+                    .expect(res => assert.deepEqual([res.body._id, res.body.name], [3, 'value']))
+                    .end(done));
+        });
+        it('should reject prototype keys of JSON Patch path', done => {
+            patch('/api/tests/3', 'application/json-patch+json', [{op: 'add', path: '/__proto__/polluted', value: 1}])
+                .expect(400)
+                .end(err => {
+                    assert.strictEqual({}.polluted, undefined);
+                    done(err);
+                });
+        });
+    });
+
+    describe('PUT and routes configuration', function () {
+
+        const app = serve({upsert: true}, (restaman, app) => {
+            restaman.addModel('Test').readonly('object.someProp');
+            restaman.addModel('Post').allow('update', () => true).allow('create', () => false);
+            restaman.addModel('Item').routes({
+                create: false,
+                update: false,
+                patch: false,
+                replace: false,
+                'delete': false,
+                count: '/total'
+            });
+            app.use('/api', restaman.router());
+        });
+
+        it('should replace document keeping protected fields', done => {
+            request(app)
+                .put('/api/tests/3')
+                .send({name: 'replaced', object: {someProp: 'changed'}})
+                .expect(200, {_id: 3, name: 'replaced', object: {someProp: 'replaced'}})
+                .end(err => err ? done(err) : request(app)
+                    .put('/api/tests/3')
+                    .send({})
+                    .expect(200, {_id: 3, object: {someProp: 'replaced'}}, done));
+        });
+        it('should create document with upsert', done => {
+            request(app)
+                .put('/api/tests/10')
+                .send({name: 'upserted'})
+                .expect(201, {_id: 10, name: 'upserted'}, done);
+        });
+        it('should check create access rules before upsert', done => {
+            request(app)
+                .put('/api/posts/500')
+                .send({title: 'upserted'})
+                .expect(403)
+                .end(err => err ? done(err) : mongoose.model('Post').findById(500)
+                    .then(doc => {
+                        assert.strictEqual(doc, null);
+                        done();
+                    })
+                    .catch(done));
+        });
+        it('should respond with 405 for disabled routes', done => {
+            request(app)
+                .delete('/api/items/1')
+                .expect('Allow', 'GET, HEAD, OPTIONS')
+                .expect(405, done);
+        });
+        it('should advertise enabled routes in OPTIONS', done => {
+            request(app)
+                .options('/api/items')
+                .expect('Allow', 'GET, HEAD, OPTIONS')
+                .expect(204, done);
+        });
+        it('should use renamed route', done => {
+            request(app)
+                .get('/api/items/total')
+                .expect(200, {count: 5}, done);
+        });
+    });
+
+    describe('Bulk', function () {
+
+        const app = serve({}, (restaman, app) => {
+            restaman.addModel('Item').pre('find', (req, res, query) => {
+                query.filter.name = {$ne: 'protected'};
+            });
+            app.use('/api', restaman.router());
+            app.use(function (err, req, res, next) {
+                res.status(err.statusCode || 500).send({message: err.message});
+            });
+        }, () => mongoose.model('Item').remove({_id: {$gte: 20}}));
+
+        it('should insert docs in unordered mode', done => {
+            request(app)
+                .post('/api/items/_bulk')
+                .query({ordered: false})
+                .send([{_id: 20, name: 'item20'}, {_id: 1, name: 'duplicate'}, {_id: 'abc'}, {_id: 21, name: 'protected'}])
+                .expect(200)
+                .expect(res => {
+                    assert.equal(res.body.inserted, 2);
+                    assert.equal(res.body.failed, 2);
+                    assert.deepEqual(res.body.results[0], {index: 0, ok: true, _id: 20});
+                    assert.equal(res.body.results[1].error.code, 11000);
+                    assert.equal(res.body.results[2].error.name, 'ValidationError');
+                    assert.deepEqual(res.body.results[3], {index: 3, ok: true, _id: 21});
+                })
+                .end(done);
+        });
+        it('should stop at first failed doc in ordered mode', done => {
+            request(app)
+                .post('/api/items/_bulk')
+                .send([{_id: 22, name: 'item22'}, {_id: 1, name: 'duplicate'}, {_id: 23, name: 'item23'}])
+                .expect(200)
+                .expect(res => {
+                    assert.equal(res.body.inserted, 1);
+                    assert.deepEqual(res.body.results[0], {index: 0, ok: true, _id: 22});
+                    assert.equal(res.body.results[1].error.code, 11000);
+                    assert.equal(res.body.results[2].error.name, 'Skipped');
+                })
+                .end(done);
+        });
+        it('should update docs matching filter and pre find hook', done => {
+            request(app)
+                .patch('/api/items/_bulk')
+                .query({filter: JSON.stringify({_id: {$gte: 20}})})
+                .send({name: 'updated'})
+                .expect(200, {matched: 2, modified: 2}, done);
+        });
+        it('should require filter', done => {
+            request(app)
+                .delete('/api/items/_bulk')
+                .expect(400, {message: 'Filter is required'}, done);
+        });
+        it('should reject malformed, not object and empty filter', done => {
+            request(app)
+                .delete('/api/items/_bulk')
+                .query({filter: 'oops'})
+                .expect(400, {message: 'Filter should be valid JSON'})
+                .end(err => err ? done(err) : request(app)
+                    .patch('/api/items/_bulk')
+                    .query({filter: '[]'})
+                    .send({name: 'updated'})
+                    .expect(400, {message: 'Filter should be object'})
+                    .end(err => err ? done(err) : request(app)
+                        .delete('/api/items/_bulk')
+                        .query({filter: '{}'})
+                        .expect(400, {message: 'Filter should not be empty'})
+                        .end(err => err ? done(err) : request(app)
+                            .patch('/api/items/_bulk')
+                            .query({filter: '{}'})
+                            .send({name: 'updated'})
+                            .expect(400, {message: 'Filter should not be empty'})
+                            .end(err => err ? done(err) : mongoose.model('Item').count({name: 'updated'})
+                                .then(count => assert.equal(count, 2))
+                                .then(() => done()).catch(done)))));
+        });
+        it('should delete docs matching filter and pre find hook', done => {
+            request(app)
+                .delete('/api/items/_bulk')
+                .query({filter: JSON.stringify({_id: {$gte: 20}})})
+                .expect(200, {deleted: 2})
+                .end(err => err ? done(err) : request(app).get('/api/items/21').expect(200, {_id: 21, name: 'protected'}, done));
+        });
+    });
+
+    describe('Error handler', function () {
+
+        const app = serve({errorHandler: true}, (restaman, app) => {
+            restaman.addModel('Test');
+            restaman.addModel('Comment');
+            restaman.addModel('Item').errorMapper(err => err.name == 'CastError' ? {status: 404, detail: 'Item not found'} : undefined);
+            app.use('/api', restaman.router());
+        });
+
+        it('should map validation error to 422', done => {
+            request(app)
+                .post('/api/tests')
+                .send({_id: 'abc'})
+                .expect('Content-Type', /application\/problem\+json/)
+                .expect(422)
+                .expect(res => {
+                    assert.equal(res.body.title, 'Unprocessable Entity');
+                    assert.deepEqual(res.body.errors.map(error => error.path), ['_id']);
+                })
+                .end(done);
+        });
+        it('should validate values of bulk update', done => {
+            request(app)
+                .patch('/api/comments/_bulk')
+                .query({filter: JSON.stringify({status: 'new'})})
+                .send({status: 'unknown'})
+                .expect(422)
+                .expect(res => assert.deepEqual(res.body.errors.map(error => error.path), ['status']))
+                .end(done);
+        });
+        it('should map cast error to 400', done => {
+            request(app)
+                .get('/api/tests/abc')
+                .expect(400)
+                .expect(res => assert.equal(res.body.errors[0].path, '_id'))
+                .end(done);
+        });
+        it('should map duplicate key error to 409', done => {
+            request(app)
+                .post('/api/tests')
+                .send({_id: 2})
+                .expect(409, {
+                    type: 'about:blank',
+                    title: 'Conflict',
+                    status: 409,
+                    detail: 'Document with the same unique key already exists'
+                }, done);
+        });
+        it('should respond with 404 for missing document', done => {
+            request(app)
+                .delete('/api/tests/999')
+                .expect(404, {type: 'about:blank', title: 'Not Found', status: 404, detail: 'Document Not Found'}, done);
+        });
+        it('should use model error mapper', done => {
+            request(app)
+                .get('/api/items/abc')
+                .expect(404)
+                .expect(res => {
+                    assert.equal(res.body.title, 'Not Found');
+                    assert.equal(res.body.detail, 'Item not found');
+                })
+                .end(done);
+        });
+    });
+
+    describe('OpenAPI', function () {
+
+        let spec;
+        const app = serve({errorHandler: true, openapi: {info: {title: 'Test API', version: '2.0.0'}}}, (restaman, app) => {
+            restaman.addModel('Test').static('exposedStaticMethod').method('exposedMethod');
+            restaman.addModel('Post').readonly('user');
+            restaman.addModel('Comment').hide('author.email');
+            spec = restaman.openapi();
+            app.use('/api', restaman.router());
+        });
+
+        it('should describe model schemas', () => {
+            let comment = spec.components.schemas.Comment;
+            assert.deepEqual(comment.required, ['text']);
+            assert.deepEqual(comment.properties.status, {type: 'string', enum: ['new', 'approved'], default: 'new'});
+            assert.deepEqual(comment.properties.post.oneOf[1], {$ref: '#/components/schemas/Post'});
+            assert.deepEqual(Object.keys(comment.properties.author.properties), ['name']);
+            assert.equal(spec.components.schemas.Post.properties.user.readOnly, true);
+            assert.equal(spec.components.schemas.Test.properties.object.properties.someProp.type, 'string');
+        });
+        it('should describe model routes', () => {
+            assert.deepEqual(Object.keys(spec.paths['/posts']), ['get', 'post', 'put']);
+            assert.equal(spec.paths['/posts'].put.deprecated, true);
+            assert.deepEqual(Object.keys(spec.paths['/posts/{id}']), ['get', 'post', 'patch', 'put', 'delete']);
+            assert.equal(spec.paths['/posts/{id}'].get.operationId, 'findOnePost');
+            assert.equal(spec.paths['/posts/{id}'].get.parameters[0].name, 'id');
+            assert.ok(spec.paths['/posts/{id}'].patch.requestBody.content['application/json-patch+json']);
+            assert.ok(spec.paths['/posts/_bulk'].delete);
+            assert.deepEqual(spec.paths['/posts'].get.responses.default.content['application/problem+json'].schema, {
+                $ref: '#/components/schemas/Problem'
+            });
+        });
+        it('should describe exposed methods', () => {
+            let properties = {param1: {}, param2: {}};
+            assert.deepEqual(spec.paths['/tests/exposedStaticMethod'].post.requestBody.content['application/json'].schema.properties, properties);
+            assert.deepEqual(spec.paths['/tests/{id}/exposedMethod'].post.requestBody.content['application/json'].schema.properties, properties);
+        });
+        it('should serve specification', done => {
+            request(app)
+                .get('/api/openapi.json')
+                .expect(200)
+                .expect(res => {
+                    assert.equal(res.body.info.title, 'Test API');
+                    assert.deepEqual(res.body.servers, [{url: '/api'}]);
+                })
+                .end(done);
+        });
+    });
+
+    describe('Strict mode and arguments validation', function () {
+
+        const app = serve({errorHandler: true}, (restaman, app) => {
+            restaman.addModel('Item').strict();
+            restaman.addModel('Test')
+                .strict()
+                .static({name: 'sum', params: {a: {type: 'number', required: true}, b: {type: 'number', required: true}}})
+                .method({
+                    name: 'exposedMethod',
+                    schema: {type: 'object', properties: {param1: {type: 'string'}}, additionalProperties: false}
+                });
+            app.use('/api', restaman.router());
+        }, () => mongoose.model('Item').remove({_id: 30}));
+
+        it('should reject unknown body fields', done => {
+            request(app)
+                .post('/api/items')
+                .send({_id: 30, name: 'Item 30', foo: 1, bar: {baz: 2}})
+                .expect(400)
+                .expect(res => assert.deepEqual(res.body.errors, [
+                    {path: 'foo', message: 'Unknown field'},
+                    {path: 'bar.baz', message: 'Unknown field'}
+                ]))
+                .end(done);
+        });
+        it('should reject unknown nested fields', done => {
+            request(app)
+                .post('/api/tests')
+                .send({_id: 30, object: {someProp: 'a', other: 1}})
+                .expect(400)
+                .expect(res => assert.deepEqual(res.body.errors.map(error => error.path), ['object.other']))
+                .end(done);
+        });
+        it('should accept known fields', done => {
+            request(app)
+                .post('/api/items')
+                .send({_id: 30, name: 'Item 30'})
+                .expect(200, {_id: 30, name: 'Item 30'}, done);
+        });
+        it('should reject unknown filter and sort fields', done => {
+            request(app)
+                .get('/api/items')
+                .query({filter: JSON.stringify({foo: 1, name: 'Item 30'}), sort: 'bar'})
+                .expect(400)
+                .expect(res => assert.deepEqual(res.body.errors.map(error => error.path), ['foo', 'bar']))
+                .end(done);
+        });
+        it('should coerce static method arguments', done => {
+            request(app)
+                .post('/api/tests/sum')
+                .send({a: '2', b: 3})
+                .expect(200, {sum: 5}, done);
+        });
+        it('should list all invalid arguments', done => {
+            request(app)
+                .post('/api/tests/sum')
+                .send({b: 'x'})
+                .expect(400)
+                .expect(res => assert.deepEqual(res.body.errors, [
+                    {path: 'a', message: 'Field is required'},
+                    {path: 'b', message: 'Should be number'}
+                ]))
+                .end(done);
+        });
+        it('should validate instance method arguments with JSON Schema', done => {
+            request(app)
+                .post('/api/tests/2/exposedMethod')
+                .send({param1: 1, param2: 'b'})
+                .expect(400)
+                .expect(res => assert.deepEqual(res.body.errors, [{path: 'param2', message: 'Unknown field'}]))
+                .end(done);
+        });
+    });
+
+    describe('Conditional requests', function () {
+
+        let etag;
+        const app = serve({errorHandler: true}, (restaman, app) => {
+            restaman.addModel('Test');
+            restaman.addModel('Comment');
+            app.use('/api', restaman.router());
+        }, () => mongoose.model('Comment').remove());
+
+        it('should set document ETag', done => {
+            request(app)
+                .get('/api/tests/2')
+                .expect(200)
+                .expect('ETag', /^"[\w+/]+"$/)
+                .expect(res => etag = res.headers.etag)
+                .end(done);
+        });
+        it('should respond with 304 for matching If-None-Match', done => {
+            request(app)
+                .get('/api/tests/2')
+                .set('If-None-Match', etag)
+                .expect(304, done);
+        });
+        it('should respond with 304 for unchanged list', done => {
+            request(app)
+                .get('/api/tests')
+                .expect(200)
+                .expect('ETag', /^W\//)
+                .end((err, res) => {
+                    if (err) {
+                        return done(err);
+                    }
+                    request(app)
+                        .get('/api/tests')
+                        .set('If-None-Match', res.headers.etag)
+                        .expect(304, done);
+                });
+        });
+        it('should update document matching If-Match', done => {
+            request(app)
+                .post('/api/tests/2')
+                .set('If-Match', etag)
+                .send({name: 'Conditional'})
+                .expect(200)
+                .expect(res => assert.notEqual(res.headers.etag, etag))
+                .end(done);
+        });
+        it('should respond with 412 for stale If-Match', done => {
+            request(app)
+                .delete('/api/tests/2')
+                .set('If-Match', etag)
+                .expect(412, done);
+        });
+        it('should use versionKey of versioned documents', done => {
+            request(app)
+                .post('/api/comments')
+                .send({text: 'First'})
+                .expect(200)
+                .end((err, res) => {
+                    if (err) {
+                        return done(err);
+                    }
+                    let id = res.body._id;
+                    let created = res.headers.etag;
+                    request(app)
+                        .put(`/api/comments/${id}`)
+                        .set('If-Match', created)
+                        .send({text: 'Edited'})
+                        .expect(200)
+                        .expect(res => assert.equal(res.body.__v, 1))
+                        .end(err => {
+                            if (err) {
+                                return done(err);
+                            }
+                            request(app)
+                                .patch(`/api/comments/${id}`)
+                                .set('If-Match', created)
+                                .send({text: 'Lost update'})
+                                .expect(412, done);
+                        });
+                });
+        });
+    });
+
+    describe('Soft delete', function () {
+
+        const admin = (req, res, next) => next(req.get('X-Admin') ? null : new HttpError(403));
+        const app = serve({errorHandler: true, upsert: true}, (restaman, app) => {
+            restaman.addModel('Post').softDelete({retentionDays: 30}).middleware(['trash', 'purge'], admin);
+            restaman.addModel('Item').softDelete().middleware('purge', admin);
+            app.use('/api', restaman.router());
+            return mongoose.model('Item').create({_id: 40, name: 'Item 40'});
+        });
+
+        it('should set deletion date instead of removing document', done => {
+            request(app)
+                .delete('/api/posts/2')
+                .expect(200)
+                .expect(res => assert.ok(res.body.deletedAt))
+                .end(done);
+        });
+        it('should exclude deleted docs', done => {
+            request(app)
+                .get('/api/posts')
+                .expect(200)
+                .expect(res => assert.deepEqual(res.body.map(post => post._id), [1]))
+                .end(err => err ? done(err) : request(app).get('/api/posts/2').expect(404, done));
+        });
+        it('should forbid trash without middleware', done => {
+            request(app)
+                .get('/api/posts/_trash')
+                .expect(403, done);
+        });
+        it('should list deleted docs in trash', done => {
+            request(app)
+                .get('/api/posts/_trash')
+                .set('X-Admin', '1')
+                .expect(200)
+                .expect(res => assert.deepEqual(res.body.map(post => post._id), [2]))
+                .end(done);
+        });
+        it('should include deleted docs with withDeleted param', done => {
+            request(app)
+                .get('/api/posts/count')
+                .query({withDeleted: 'true'})
+                .set('X-Admin', '1')
+                .expect(200, {count: 2}, done);
+        });
+        it('should not purge document during retention period', done => {
+            request(app)
+                .delete('/api/posts/2/_purge')
+                .set('X-Admin', '1')
+                .expect(409, done);
+        });
+        it('should purge deleted document', done => {
+            request(app)
+                .delete('/api/items/40')
+                .expect(200)
+                .end(err => err ? done(err) : request(app)
+                    .delete('/api/items/40/_purge')
+                    .set('X-Admin', '1')
+                    .expect(200)
+                    .end(err => err ? done(err) : mongoose.model('Item').findById(40)
+                        .then(item => assert.equal(item, null))
+                        .then(() => done()).catch(done)));
+        });
+        it('should respond 409 to upsert of deleted document', done => {
+            request(app)
+                .put('/api/posts/2')
+                .send({title: 'Replaced'})
+                .expect(409)
+                .expect(res => assert.equal(res.body.detail, 'Document is deleted, restore it before replacing'))
+                .end(done);
+        });
+        it('should restore deleted document', done => {
+            request(app)
+                .post('/api/posts/2/_restore')
+                .expect(200)
+                .expect(res => assert.equal(res.body.deletedAt, undefined))
+                .end(err => err ? done(err) : request(app).get('/api/posts/2').expect(200, done));
+        });
+    });
+
+    describe('Nested routes', function () {
+
+        let topicId;
+        const app = serve({errorHandler: true}, (restaman, app) => {
+            restaman.addModel('User').relation('posts', {model: 'Post', field: 'user'});
+            restaman.addModel('Post');
+            restaman.addModel('Board')
+                .relation('topics')
+                .hide('topics.secret')
+                .pre('findOne', (req, res, query) => query.filter.user = Number(req.get('X-User')));
+            app.use('/api', restaman.router());
+            return mongoose.model('User').create({_id: 1, name: 'User 1'})
+                .then(() => mongoose.model('Board').create({_id: 1, user: 1}));
+        }, () => mongoose.model('User').remove()
+            .then(() => mongoose.model('Board').remove())
+            .then(() => mongoose.model('Post').remove({_id: 50})));
+
+        it('should list docs referencing parent', done => {
+            request(app)
+                .get('/api/users/1/posts')
+                .expect(200)
+                .expect(res => assert.deepEqual(res.body.map(post => post._id), [1]))
+                .end(done);
+        });
+        it('should respond with 404 for missing parent', done => {
+            request(app)
+                .get('/api/users/99/posts')
+                .expect(404, done);
+        });
+        it('should create doc referencing parent', done => {
+            request(app)
+                .post('/api/users/1/posts')
+                .send({_id: 50, title: 'Nested', user: 7})
+                .expect(200, {_id: 50, title: 'Nested', user: 1}, done);
+        });
+        it('should add subdocument', done => {
+            request(app)
+                .post('/api/boards/1/topics')
+                .set('X-User', '1')
+                .send({title: 'First', secret: 'secret'})
+                .expect(200)
+                .expect(res => {
+                    topicId = res.body._id;
+                    assert.deepEqual(res.body, {_id: topicId, title: 'First'});
+                })
+                .end(done);
+        });
+        it('should apply parent hooks to subdocuments', done => {
+            request(app)
+                .get('/api/boards/1/topics')
+                .set('X-User', '2')
+                .expect(404, done);
+        });
+        it('should replace subdocument', done => {
+            request(app)
+                .put(`/api/boards/1/topics/${topicId}`)
+                .set('X-User', '1')
+                .send({title: 'Renamed'})
+                .expect(200, {_id: topicId, title: 'Renamed'})
+                .end(err => err ? done(err) : request(app)
+                    .get(`/api/boards/1/topics/${topicId}`)
+                    .set('X-User', '1')
+                    .expect(200, {_id: topicId, title: 'Renamed'}, done));
+        });
+        it('should delete subdocument', done => {
+            request(app)
+                .delete(`/api/boards/1/topics/${topicId}`)
+                .set('X-User', '1')
+                .expect(200)
+                .end(err => err ? done(err) : request(app)
+                    .get('/api/boards/1/topics')
+                    .set('X-User', '1')
+                    .expect(200, [], done));
+        });
+    });
+
+    describe('Aggregation', function () {
+
+        const app = serve({errorHandler: true}, (restaman, app) => {
+            restaman.addModel('Post')
+                .hide('field1')
+                .pre('aggregate', (req, res, pipeline) => pipeline.unshift({$match: {_id: {$gte: 60}}}));
+            app.use('/api', restaman.router());
+            return mongoose.model('Post').create([{_id: 60, user: 5}, {_id: 61, user: 5}, {_id: 62, user: 6}]);
+        }, () => mongoose.model('Post').remove({_id: {$gte: 60}}));
+        const aggregate = pipeline => request(app).get('/api/posts/_aggregate').query({pipeline: JSON.stringify(pipeline)});
+
+        it('should group by field', done => {
+            request(app)
+                .get('/api/posts/_aggregate')
+                .query({groupBy: 'user', metric: 'count,max:_id', sort: 'user'})
+                .expect(200, [{user: 5, count: 2, max__id: 61}, {user: 6, count: 1, max__id: 62}], done);
+        });
+        it('should run pipeline', done => {
+            aggregate([{$match: {user: '5'}}, {$group: {_id: null, total: {$sum: 1}}}, {$project: {_id: 0, total: 1}}])
+                .expect(200, [{total: 2}], done);
+        });
+        it('should reject not allowed stage', done => {
+            aggregate([{$lookup: {from: 'users', localField: 'user', foreignField: '_id', as: 'author'}}])
+                .expect(400)
+                .expect(res => assert.equal(res.body.detail, 'Stage $lookup is not allowed'))
+                .end(done);
+        });
+        it('should reject not allowed accumulator', done => {
+            aggregate([{$group: {_id: '$user', titles: {$push: '$title'}}}])
+                .expect(400, done);
+        });
+        it('should reject hidden fields', done => {
+            request(app)
+                .get('/api/posts/_aggregate')
+                .query({groupBy: 'field1'})
+                .expect(400)
+                .expect(res => assert.deepEqual(res.body.errors, [{path: 'field1', message: 'Field field1 is not allowed in aggregation'}]))
+                .end(done);
+        });
+        it('should reject expressions', done => {
+            aggregate([{$project: {title: {$concat: ['$title', '$field1']}}}])
+                .expect(400, done);
+        });
+    });
+
+    describe('Search', function () {
+
+        const app = serve({}, (restaman, app) => {
+            restaman.addModel('Article');
+            restaman.addModel('Post').searchable({fields: ['title', 'content']});
+            app.use('/api', restaman.router());
+            return mongoose.model('Article')
+                .create([
+                    {_id: 1, title: 'Mongo tips', body: 'Mongo indexes'},
+                    {_id: 2, title: 'Express', body: 'Routes and mongo'},
+                    {_id: 3, title: 'Other', body: 'Nothing'}
+                ])
+                .then(() => mongoose.model('Post').create({_id: 70, title: 'Hello (World)', content: 'Search me'}));
+        }, () => mongoose.model('Article').remove()
+            .then(() => mongoose.model('Post').remove({_id: 70})));
+
+        it('should sort by text score', done => {
+            request(app)
+                .get('/api/articles')
+                .query({q: 'mongo'})
+                .expect(200)
+                .expect(res => {
+                    assert.deepEqual(res.body.map(article => article._id), [1, 2]);
+                    assert.equal(res.body[0].score, undefined);
+                })
+                .end(done);
+        });
+        it('should include score', done => {
+            request(app)
+                .get('/api/articles/_search')
+                .query({q: 'mongo', score: 'true', projection: 'title'})
+                .expect(200)
+                .expect(res => {
+                    assert.deepEqual(Object.keys(res.body[0]).sort(), ['_id', 'score', 'title']);
+                    assert.ok(res.body[0].score > res.body[1].score);
+                })
+                .end(done);
+        });
+        it('should compose with filter', done => {
+            request(app)
+                .get('/api/articles')
+                .query({q: 'mongo', filter: JSON.stringify({_id: {$gt: 1}})})
+                .expect(200)
+                .expect(res => assert.deepEqual(res.body.map(article => article._id), [2]))
+                .end(done);
+        });
+        it('should search fields with escaped regex', done => {
+            request(app)
+                .get('/api/posts/_search')
+                .query({q: '(WORLD me'})
+                .expect(200)
+                .expect(res => assert.deepEqual(res.body.map(post => post._id), [70]))
+                .end(done);
+        });
+        it('should require search query', done => {
+            request(app)
+                .get('/api/posts/_search')
+                .expect(400, done);
+        });
+    });
+
+    describe('Change events', function () {
+
+        let firstEventId;
+        const app = serve({}, (restaman, app) => {
+            restaman.addModel('Post').hide('field1');
+            app.use('/api', restaman.router());
+        }, () => mongoose.model('Post').remove({_id: {$in: [80, 81, 82, 83, 84]}}));
+
+        const subscribe = (path, headers) => new Promise((resolve, reject) => {
+            const req = http.get({port: 3003, path: path, headers: headers}, res => {
+                const stream = {req: req, res: res, events: []};
+                let buffer = '';
+                res.setEncoding('utf8');
+                res.on('data', chunk => {
+                    let blocks = (buffer + chunk).split('\n\n');
+                    buffer = blocks.pop();
+                    blocks.filter(block => block[0] != ':').forEach(block => stream.events.push(block.split('\n').reduce((event, line) => {
+                        let index = line.indexOf(': ');
+                        event[line.slice(0, index)] = line.slice(index + 2);
+                        return event;
+                    }, {})));
+                });
+                resolve(stream);
+            }).on('error', reject);
+        });
+        const waitEvents = (stream, count) => new Promise(resolve => {
+            const check = () => stream.events.length >= count ? resolve(stream.events) : stream.res.once('data', () => setImmediate(check));
+            check();
+        });
+
+        it('should stream created, updated and deleted docs', done => {
+            let stream;
+            subscribe('/api/posts/_events')
+                .then(_stream => {
+                    stream = _stream;
+                    assert.ok(/^text\/event-stream/.test(stream.res.headers['content-type']));
+                    return request(app).post('/api/posts').send({_id: 80, title: 'Live'}).expect(200);
+                })
+                .then(() => request(app).put('/api/posts/80').send({title: 'Updated'}).expect(200))
+                .then(() => request(app).delete('/api/posts/80').expect(200))
+                .then(() => waitEvents(stream, 3))
+                .then(events => {
+                    stream.req.destroy();
+                    firstEventId = Number(events[0].id);
+                    assert.deepEqual(events.map(event => event.event), ['create', 'update', 'delete']);
+                    assert.deepEqual(events.map(event => Number(event.id)), [firstEventId, firstEventId + 1, firstEventId + 2]);
+                    assert.deepEqual(JSON.parse(events[1].data), {_id: 80, title: 'Updated'});
+                    done();
+                })
+                .catch(done);
+        });
+        it('should filter events and strip hidden fields', done => {
+            let stream;
+            subscribe('/api/posts/_events?filter=' + encodeURIComponent(JSON.stringify({user: {$in: [5]}})))
+                .then(_stream => {
+                    stream = _stream;
+                    return request(app).post('/api/posts').send({_id: 82, user: 6}).expect(200);
+                })
+                .then(() => request(app).post('/api/posts').send({_id: 81, user: 5, field1: 'secret', field2: 'visible'}).expect(200))
+                .then(() => waitEvents(stream, 1))
+                .then(events => {
+                    stream.req.destroy();
+                    assert.equal(events.length, 1);
+                    assert.deepEqual(JSON.parse(events[0].data), {_id: 81, user: 5, field2: 'visible'});
+                    done();
+                })
+                .catch(done);
+        });
+        it('should replay buffered events after Last-Event-ID', done => {
+            subscribe('/api/posts/_events', {'Last-Event-ID': String(firstEventId + 1)})
+                .then(stream => waitEvents(stream, 3).then(events => {
+                    stream.req.destroy();
+                    assert.deepEqual(events.map(event => event.event), ['delete', 'create', 'create']);
+                    assert.equal(Number(events[0].id), firstEventId + 2);
+                    done();
+                }))
+                .catch(done);
+        });
+        it('should stream docs changed by bulk update and delete', done => {
+            let stream;
+            mongoose.model('Post').create([{_id: 83, title: 'Bulk'}, {_id: 84, title: 'Bulk'}])
+                .then(() => subscribe('/api/posts/_events?filter=' + encodeURIComponent(JSON.stringify({_id: {$in: [83, 84]}}))))
+                .then(_stream => {
+                    stream = _stream;
+                    return request(app)
+                        .patch('/api/posts/_bulk')
+                        .query({filter: JSON.stringify({_id: {$in: [83, 84]}})})
+                        .send({title: 'Updated'})
+                        .expect(200);
+                })
+                .then(() => request(app).delete('/api/posts/_bulk').query({filter: JSON.stringify({_id: 84})}).expect(200))
+                .then(() => waitEvents(stream, 3))
+                .then(events => {
+                    stream.req.destroy();
+                    let changes = events.map(event => [event.event, JSON.parse(event.data)]);
+                    assert.deepEqual(changes.slice(0, 2).sort((a, b) => a[1]._id - b[1]._id), [
+                        ['update', {_id: 83, title: 'Updated'}],
+                        ['update', {_id: 84, title: 'Updated'}]
+                    ]);
+                    assert.deepEqual(changes[2], ['delete', {_id: 84, title: 'Updated'}]);
+                    done();
+                })
+                .catch(done);
+        });
+        it('should respond 400 if filter is not allowed', done => {
+            request(app)
+                .get('/api/posts/_events')
+                .query({filter: JSON.stringify({$where: 'true'})})
+                .expect(400, done);
+        });
+    });
+
+    describe('Export and import', function () {
+
+        const app = serve({importBatchSize: 2}, (restaman, app) => {
+            const checkTitle = value => {
+                if (value == 'Broken') {
+                    throw new Error('Broken title');
+                }
+                return value;
+            };
+            restaman.addModel('Post').hide('field2').serializer({transforms: {title: checkTitle}});
+            restaman.addModel('Comment');
+            app.use('/api', restaman.router());
+            return mongoose.model('Post')
+                .create([
+                    {_id: 90, title: 'First, "quoted"', user: 9, field2: 'hidden'},
+                    {_id: 91, title: 'Second', user: 9},
+                    {_id: 92, title: 'Other', user: 8},
+                    {_id: 97, title: 'Valid', user: 7},
+                    {_id: 98, title: 'Broken', user: 7}
+                ])
+                .then(() => mongoose.model('Comment').create({text: 'Nested', author: {name: 'Ann', email: 'ann@test'}}));
+        }, () => mongoose.model('Post').remove({_id: {$gte: 90, $lt: 100}})
+            .then(() => mongoose.model('Comment').remove()));
+
+        it('should stream NDJSON', done => {
+            request(app)
+                .get('/api/posts')
+                .query({format: 'ndjson', filter: JSON.stringify({user: 9}), sort: '_id'})
+                .buffer(true)
+                .parse((res, callback) => {
+                    let text = '';
+                    res.on('data', chunk => text += chunk).on('end', () => callback(null, text));
+                })
+                .expect(200)
+                .expect('Content-Type', /application\/x-ndjson/)
+                .expect(res => assert.deepEqual(res.body.split('\n'), [
+                    JSON.stringify({_id: 90, title: 'First, "quoted"', user: 9}),
+                    JSON.stringify({_id: 91, title: 'Second', user: 9}),
+                    ''
+                ]))
+                .end(done);
+        });
+        it('should stream CSV negotiated by Accept header', done => {
+            request(app)
+                .get('/api/posts')
+                .query({filter: JSON.stringify({user: 9}), sort: '_id', projection: 'title user field2'})
+                .set('Accept', 'text/csv')
+                .expect(200)
+                .expect('Content-Type', /text\/csv/)
+                .expect(res => assert.equal(res.text, '_id,title,user\r\n90,"First, ""quoted""",9\r\n91,Second,9\r\n'))
+                .end(done);
+        });
+        it('should flatten nested paths in CSV header', done => {
+            request(app)
+                .get('/api/comments')
+                .query({format: 'csv', projection: JSON.stringify({_id: 0, text: 1, author: 1})})
+                .expect(200)
+                .expect(res => assert.equal(res.text, 'text,author.name,author.email\r\nNested,Ann,ann@test\r\n'))
+                .end(done);
+        });
+        it('should respond with error if first doc fails to serialize', done => {
+            request(app)
+                .get('/api/posts')
+                .query({format: 'ndjson', _id: 98})
+                .expect(500, done);
+        });
+        it('should abort response if doc fails to serialize while streaming', done => {
+            request(app)
+                .get('/api/posts')
+                .query({format: 'csv', user: 7, sort: '_id'})
+                .end(err => {
+                    assert.equal(err && err.code, 'ECONNRESET');
+                    request(app).get('/api/posts/97').expect(200, done);
+                });
+        });
+        it('should respond 400 for unsupported format', done => {
+            request(app)
+                .get('/api/posts')
+                .query({format: 'xml'})
+                .expect(400, done);
+        });
+        it('should import NDJSON with per-row errors', done => {
+            request(app)
+                .post('/api/posts/_import')
+                .set('Content-Type', 'application/x-ndjson')
+                .send('{"_id": 93, "title": "Imported"}\n{broken\n\n{"_id": "abc"}\n{"_id": 94, "user": 1}\n{"_id": 95}')
+                .expect(200)
+                .expect(res => {
+                    assert.equal(res.body.inserted, 3);
+                    assert.equal(res.body.failed, 2);
+                    assert.deepEqual(res.body.errors.map(error => [error.index, error.error.name]), [[1, 'SyntaxError'], [2, 'ValidationError']]);
+                })
+                .end(err => err ? done(err) : mongoose.model('Post').find({_id: {$in: [93, 94, 95]}}).sort('_id')
+                    .then(docs => {
+                        assert.deepEqual(docs.map(doc => doc._id), [93, 94, 95]);
+                        done();
+                    })
+                    .catch(done));
+        });
+        it('should import CSV with quoted cells and nested paths', done => {
+            request(app)
+                .post('/api/comments/_import')
+                .set('Content-Type', 'text/csv')
+                .send('text,author.name,status\r\n"Multi\nline, ""quoted""",Bob,approved\r\n,Nobody,new\r\nShort,,\r\n')
+                .expect(200)
+                .expect(res => {
+                    assert.equal(res.body.inserted, 2);
+                    assert.deepEqual(res.body.errors.map(error => error.index), [1]);
+                })
+                .end(err => err ? done(err) : mongoose.model('Comment').findOne({'author.name': 'Bob'})
+                    .then(doc => {
+                        assert.equal(doc.text, 'Multi\nline, "quoted"');
+                        assert.equal(doc.status, 'approved');
+                        done();
+                    })
+                    .catch(done));
+        });
+        it('should reject CSV header with unknown or prototype paths', done => {
+            request(app)
+                .post('/api/comments/_import')
+                .set('Content-Type', 'text/csv')
+                .send('text,__proto__.polluted\r\nHello,1\r\n')
+                .expect(400)
+                .end(err => {
+                    assert.strictEqual({}.polluted, undefined);
+                    err ? done(err) : request(app)
+                        .post('/api/comments/_import')
+                        .set('Content-Type', 'text/csv')
+                        .send('text,unknown\r\nHello,1\r\n')
+                        .expect(400, done);
+                });
+        });
+        it('should respond 415 for JSON body', done => {
+            request(app)
+                .post('/api/posts/_import')
+                .send([{_id: 96}])
+                .expect(415, done);
+        });
+    });
+
+    describe('Access policies', function () {
+
+        const as = user => ({'X-User': JSON.stringify(user)});
+        const app = serve({}, (restaman, app) => {
+            restaman.addModel('Post')
+                .owner('user', {bypass: 'admin'})
+                .allow('update', 'editor')
+                .allow('update', ctx => ctx.user.id == 20)
+                .allow('delete', ['editor', 'admin'])
+                .hide('field1', ctx => !ctx.user || ctx.user.roles.indexOf('admin') === -1);
+            restaman.addModel('Comment').hide('author.email', ctx => ctx.user.roles.indexOf('admin') === -1);
+            app.use((req, res, next) => {
+                req.user = req.get('X-User') ? JSON.parse(req.get('X-User')) : undefined;
+                next();
+            });
+            app.use('/api', restaman.router());
+            return mongoose.model('Post').create([
+                {_id: 100, title: 'Mine', user: 20, field1: 'secret'},
+                {_id: 101, title: 'Editor', user: 21},
+                {_id: 102, title: 'Other', user: 22}
+            ]);
+        }, () => mongoose.model('Post').remove({_id: {$gte: 100, $lt: 110}}));
+
+        it('should filter docs by owner', done => {
+            request(app)
+                .get('/api/posts')
+                .set(as({id: 20, roles: []}))
+                .expect(200)
+                .expect(res => assert.deepEqual(res.body, [{_id: 100, title: 'Mine', user: 20}]))
+                .end(done);
+        });
+        it('should count and get owned docs only', done => {
+            request(app)
+                .get('/api/posts/count')
+                .query({user: 22})
+                .set(as({id: 20, roles: []}))
+                .expect(200, {count: 0})
+                .end(err => err ? done(err) : request(app)
+                    .get('/api/posts/102')
+                    .set(as({id: 20, roles: []}))
+                    .expect(404, done));
+        });
+        it('should bypass ownership and show hidden field by role', done => {
+            request(app)
+                .get('/api/posts')
+                .query({sort: 'field1', filter: JSON.stringify({_id: {$gte: 100}})})
+                .set(as({id: 1, roles: ['admin']}))
+                .expect(200)
+                .expect(res => {
+                    assert.equal(res.body.length, 3);
+                    assert.equal(res.body.find(post => post._id == 100).field1, 'secret');
+                })
+                .end(done);
+        });
+        it('should not allow filtering by field hidden for role', done => {
+            request(app)
+                .get('/api/posts')
+                .query({filter: JSON.stringify({field1: 'secret'})})
+                .set(as({id: 20, roles: []}))
+                .expect(400, done);
+        });
+        it('should not allow filtering by subpath hidden for role', done => {
+            request(app)
+                .get('/api/comments')
+                .query({filter: JSON.stringify({author: {email: 'ann@test'}})})
+                .set(as({id: 20, roles: []}))
+                .expect(400)
+                .end(err => err ? done(err) : request(app)
+                    .get('/api/comments')
+                    .query({filter: JSON.stringify({author: {$elemMatch: {email: 'ann@test'}}})})
+                    .set(as({id: 20, roles: []}))
+                    .expect(400)
+                    .end(err => err ? done(err) : request(app)
+                        .get('/api/comments')
+                        .query({filter: JSON.stringify({author: {email: 'ann@test'}})})
+                        .set(as({id: 1, roles: ['admin']}))
+                        .expect(200, [], done)));
+        });
+        it('should not allow aggregating field hidden for role', done => {
+            request(app)
+                .get('/api/posts/_aggregate')
+                .query({groupBy: 'field1'})
+                .set(as({id: 20, roles: []}))
+                .expect(400)
+                .end(err => err ? done(err) : request(app)
+                    .get('/api/posts/_aggregate')
+                    .query({pipeline: JSON.stringify([{$group: {_id: null, values: {$max: '$field1'}}}])})
+                    .set(as({id: 20, roles: []}))
+                    .expect(400)
+                    .end(err => err ? done(err) : request(app)
+                        .get('/api/posts/_aggregate')
+                        .query({groupBy: 'field1', filter: JSON.stringify({_id: 100})})
+                        .set(as({id: 1, roles: ['admin']}))
+                        .expect(200, [{field1: 'secret', count: 1}], done)));
+        });
+        it('should respond 400 for sort param which is not string', done => {
+            request(app)
+                .get('/api/posts?sort[title]=1')
+                .set(as({id: 20, roles: []}))
+                .expect(400, done);
+        });
+        it('should set owner of created doc', done => {
+            request(app)
+                .post('/api/posts')
+                .set(as({id: 21, roles: []}))
+                .send({_id: 103, title: 'Created', user: 22})
+                .expect(200)
+                .expect(res => assert.equal(res.body.user, 21))
+                .end(done);
+        });
+        it('should compose allow rules', done => {
+            request(app)
+                .post('/api/posts/100')
+                .set(as({id: 20, roles: []}))
+                .send({title: 'Updated'})
+                .expect(200)
+                .end(err => err ? done(err) : request(app)
+                    .post('/api/posts/101')
+                    .set(as({id: 21, roles: ['editor']}))
+                    .send({title: 'Updated'})
+                    .expect(200)
+                    .end(err => err ? done(err) : request(app)
+                        .post('/api/posts/103')
+                        .set(as({id: 21, roles: []}))
+                        .send({title: 'Updated'})
+                        .expect(403, done)));
+        });
+        it('should check ownership before If-Match', done => {
+            request(app)
+                .post('/api/posts/100')
+                .set(as({id: 21, roles: ['editor']}))
+                .set('If-Match', '"stale"')
+                .send({title: 'Stale'})
+                .expect(403, done);
+        });
+        it('should respond 403 for doc of other owner', done => {
+            request(app)
+                .delete('/api/posts/102')
+                .set(as({id: 21, roles: ['editor']}))
+                .expect(403)
+                .end(err => err ? done(err) : request(app)
+                    .delete('/api/posts/102')
+                    .set(as({id: 1, roles: ['admin']}))
+                    .expect(200, done));
+        });
+        it('should respond 403 without user', done => {
+            request(app)
+                .get('/api/posts')
+                .expect(403, done);
+        });
+    });
+
+    describe('Audit trail', function () {
+
+        const app = serve({}, (restaman, app) => {
+            restaman.addModel('Post').audit().hide('field2').readonly('field1');
+            restaman.addModel('Test').audit({statics: true}).static({name: 'sum', params: {a: 'number', b: 'number'}});
+            app.use((req, res, next) => {
+                req.user = {id: 7};
+                next();
+            });
+            app.use('/api', restaman.router());
+        }, () => mongoose.model('Post').remove({_id: {$in: [110, 111, 112, 113]}})
+            .then(() => mongoose.connection.collection('audit').remove({})));
+
+        it('should record create and update revisions', done => {
+            request(app)
+                .post('/api/posts')
+                .send({_id: 110, title: 'First', field2: 'secret'})
+                .expect(200)
+                .end(err => err ? done(err) : request(app)
+                    .patch('/api/posts/110')
+                    .send({title: 'Second', field2: 'changed'})
+                    .expect(200)
+                    .end(err => err ? done(err) : request(app)
+                        .get('/api/posts/110/_history')
+                        .expect(200)
+                        .expect(res => {
+                            assert.deepEqual(res.body.map(entry => [entry.rev, entry.action, entry.actor]), [[1, 'create', 7], [2, 'update', 7]]);
+                            assert.deepEqual(res.body[0].changes, [{path: '_id', to: 110}, {path: 'title', to: 'First'}]);
+                            assert.deepEqual(res.body[1].changes, [{path: 'title', from: 'First', to: 'Second'}]);
+                            assert.ok(res.body[1].createdAt);
+                        })
+                        .end(done)));
+        });
+        it('should revert to revision', done => {
+            request(app)
+                .post('/api/posts/110/_revert/1')
+                .expect(200)
+                .expect(res => assert.equal(res.body.title, 'First'))
+                .end(err => err ? done(err) : mongoose.model('Post').findById(110)
+                    .then(doc => {
+                        assert.equal(doc.field2, 'secret');
+                        return request(app).get('/api/posts/110/_history').expect(200);
+                    })
+                    .then(res => {
+                        assert.equal(res.body[2].action, 'revert');
+                        assert.deepEqual(res.body[2].changes, [{path: 'title', from: 'Second', to: 'First'}]);
+                        done();
+                    })
+                    .catch(done));
+        });
+        it('should keep protected fields on revert', done => {
+            request(app)
+                .post('/api/posts')
+                .send({_id: 111, title: 'First', field1: 'initial'})
+                .expect(200)
+                .end(err => err ? done(err) : mongoose.model('Post').update({_id: 111}, {field1: 'changed', title: 'Second'})
+                    .then(() => request(app).post('/api/posts/111/_revert/1').expect(200))
+                    .then(() => mongoose.model('Post').findById(111))
+                    .then(doc => {
+                        assert.deepEqual([doc.title, doc.field1], ['First', 'changed']);
+                        done();
+                    })
+                    .catch(done));
+        });
+        it('should respond 404 for unknown revision', done => {
+            request(app)
+                .post('/api/posts/110/_revert/10')
+                .expect(404, done);
+        });
+        it('should record bulk update and delete per doc', done => {
+            const entries = docId => mongoose.connection.collection('audit').find({docId: docId}).sort({rev: 1}).toArray()
+                .then(entries => entries.map(entry => [entry.rev, entry.action, entry.changes.map(change => change.path).join()]));
+            mongoose.model('Post').create([{_id: 112, title: 'First'}, {_id: 113, title: 'First'}])
+                .then(() => request(app)
+                    .patch('/api/posts/_bulk')
+                    .query({filter: JSON.stringify({_id: {$in: [112, 113]}})})
+                    .send({title: 'Bulk'})
+                    .expect(200, {matched: 2, modified: 2}))
+                .then(() => request(app)
+                    .delete('/api/posts/_bulk')
+                    .query({filter: JSON.stringify({_id: 113})})
+                    .expect(200, {deleted: 1}))
+                .then(() => Promise.all([entries(112), entries(113)]))
+                .then(results => {
+                    assert.deepEqual(results[0], [[1, 'update', 'title']]);
+                    assert.deepEqual(results[1], [[1, 'update', 'title'], [2, 'delete', '_id,title']]);
+                    done();
+                })
+                .catch(done);
+        });
+        it('should record static method calls', done => {
+            request(app)
+                .post('/api/tests/sum')
+                .send({a: 1, b: 2})
+                .expect(200, {sum: 3})
+                .end(err => err ? done(err) : mongoose.connection.collection('audit').findOne({action: 'static'})
+                    .then(entry => {
+                        assert.equal(entry.model, 'Test');
+                        assert.equal(entry.method, 'sum');
+                        assert.deepEqual(entry.params, {a: 1, b: 2});
+                        done();
+                    })
+                    .catch(done));
+        });
+        it('should not add history routes without audit', done => {
+            const app = express();
+            const restaman = new Restaman();
+            restaman.addModel('Post');
+            app.use('/api', restaman.router());
+            request(app).get('/api/posts/110/_history').expect(404, done);
+        });
+    });
+
+    describe('Multi-tenancy', function () {
+
+        const connections = [];
+        const app = serve({tenant: {tenants: ['acme', 'globex']}}, (byHeader, app) => {
+            byHeader.addModel('Post');
+            const byParam = new Restaman({
+                tenant: {
+                    from: 'param',
+                    tenants: tenant => Promise.resolve(tenant == 'initech' || tenant == 'constructor'),
+                    connection: tenant => {
+                        connections.push(mongoose.createConnection('localhost/restaman-test-' + tenant));
+                        return connections[connections.length - 1];
+                    }
+                }
+            });
+            byParam.addModel('Post');
+            app.use('/api', byHeader.router());
+            app.use('/:tenant/api', byParam.router({mergeParams: true}));
+        }, () => Promise.all(['acme', 'globex'].map(name => mongoose.connection.useDb(name).model('Post').remove()))
+            .then(() => connections[0].model('Post').remove())
+            .then(() => Promise.all(connections.map(connection => connection.close()))));
+
+        it('should use database of tenant from header', done => {
+            request(app)
+                .post('/api/posts')
+                .set('X-Tenant', 'acme')
+                .send({_id: 120, title: 'Acme'})
+                .expect(200)
+                .end(err => err ? done(err) : request(app)
+                    .get('/api/posts')
+                    .set('X-Tenant', 'globex')
+                    .expect(200, [])
+                    .end(err => err ? done(err) : request(app)
+                        .get('/api/posts')
+                        .set('X-Tenant', 'acme')
+                        .expect(200, [{_id: 120, title: 'Acme'}], done)));
+        });
+        it('should respond 404 for unknown tenant and 400 without tenant', done => {
+            request(app)
+                .get('/api/posts')
+                .set('X-Tenant', 'unknown')
+                .expect(404)
+                .end(err => err ? done(err) : request(app).get('/api/posts').expect(400, done));
+        });
+        it('should resolve tenant from route param and cache its connection', done => {
+            request(app)
+                .post('/initech/api/posts')
+                .send({_id: 121, title: 'Initech'})
+                .expect(200)
+                .end(err => err ? done(err) : request(app)
+                    .get('/initech/api/posts')
+                    .expect(200, [{_id: 121, title: 'Initech'}])
+                    .end(err => {
+                        if (err) {
+                            return done(err);
+                        }
+                        assert.equal(connections.length, 1);
+                        request(app).get('/hooli/api/posts').expect(404, done);
+                    }));
+        });
+        it('should cache connection of tenant named as object property', done => {
+            request(app)
+                .get('/constructor/api/posts')
+                .expect(200, [])
+                .end(err => err ? done(err) : request(app)
+                    .get('/constructor/api/posts')
+                    .expect(200, [])
+                    .end(err => {
+                        if (err) {
+                            return done(err);
+                        }
+                        assert.equal(connections.length, 2);
+                        done();
+                    }));
+        });
+    });
+
+    describe('Query string filter', function () {
+
+        const app = serve({errorHandler: true}, (restaman, app) => {
+            restaman.addModel('Task');
+            app.use('/api', restaman.router());
+            return mongoose.model('Task').create([
+                {_id: 1, title: 'Plan', due: new Date('2020-05-01'), done: true, priority: 1, tags: ['a']},
+                {_id: 2, title: 'Build', due: new Date('2020-06-15'), done: false, priority: 3, tags: ['b', 'c']},
+                {_id: 3, title: 'Test', due: new Date('2020-07-01'), done: false, priority: 2, tags: ['c']}
+            ]);
+        }, () => mongoose.model('Task').remove());
+
+        it('should filter, sort and select fields by query params', done => {
+            request(app)
+                .get('/api/tasks?priority[gte]=2&tags[in]=a,b,c&sort=-priority,_id&fields=title,priority')
+                .expect(200, [{_id: 2, title: 'Build', priority: 3}, {_id: 3, title: 'Test', priority: 2}], done);
+        });
+        it('should count with the same params', done => {
+            request(app)
+                .get('/api/tasks/count?priority[gte]=2&tags[in]=a,b,c')
+                .expect(200, {count: 2}, done);
+        });
+        it('should cast dates and booleans', done => {
+            request(app)
+                .get('/api/tasks?due[lt]=2020-06-30&done=false&fields=_id')
+                .expect(200, [{_id: 2}])
+                .end(err => err ? done(err) : request(app)
+                    .get('/api/tasks/1?done=false')
+                    .expect(404, done));
+        });
+        it('should combine params with filter JSON', done => {
+            request(app)
+                .get('/api/tasks/count')
+                .query({filter: JSON.stringify({done: false}), priority: '2'})
+                .expect(200, {count: 1}, done);
+        });
+        it('should cast values of aggregation filter', done => {
+            request(app)
+                .get('/api/tasks/_aggregate?_id[in]=2,3&groupBy=done&metric=sum:priority')
+                .expect(200, [{done: false, sum_priority: 5}], done);
+        });
+        it('should respond 400 if value can\'t be cast', done => {
+            request(app)
+                .get('/api/tasks?priority[gt]=high')
+                .expect(400)
+                .expect(res => assert.equal(res.body.errors[0].path, 'priority'))
+                .end(done);
+        });
+        it('should cast operands of $size, $type and $not', done => {
+            request(app)
+                .get('/api/tasks?tags[size]=2&fields=_id')
+                .expect(200, [{_id: 2}])
+                .end(err => err ? done(err) : request(app)
+                    .get('/api/tasks?title[type]=string&priority[not][gt]=1&fields=_id')
+                    .expect(200, [{_id: 1}], done));
+        });
+        it('should respond 400 for invalid $size and nested operator objects', done => {
+            request(app)
+                .get('/api/tasks?tags[size]=1.5')
+                .expect(400)
+                .end(err => err ? done(err) : request(app)
+                    .get('/api/tasks?tags[elemMatch][eq]=a')
+                    .expect(400)
+                    .expect(res => assert.equal(res.body.errors[0].path, 'tags'))
+                    .end(done));
+        });
+    });
+
+    describe('Serialization', function () {
+
+        const app = serve({errorHandler: true}, (restaman, app) => {
+            const noteSchema = new mongoose.Schema({_id: Number, title: String, body: String, price: Number, author: {type: Number, ref: 'User'}});
+            noteSchema.virtual('label').get(function () {
+                return this.title.toUpperCase();
+            });
+            noteSchema.methods.rename = function (title) {
+                this.title = title;
+                return this.save();
+            };
+            mongoose.model('Note', noteSchema);
+            restaman.addModel('User').hide('email');
+            restaman.addModel('Note').serializer({
+                id: true,
+                versionKey: false,
+                virtuals: true,
+                transforms: {price: value => value / 100},
+                views: {summary: ['title']}
+            }).exposeMethod('rename');
+            restaman.addModel('Board')
+                .relation('topics')
+                .hide('topics.secret', ctx => !ctx.req.get('X-Admin'))
+                .serializer({id: true, transforms: {'topics.title': value => value.toUpperCase()}});
+            app.use('/api', restaman.router());
+            return mongoose.model('User').create({_id: 5, name: 'Author', email: 'author@example.com'})
+                .then(() => mongoose.model('Note').create([
+                    {_id: 1, title: 'First', body: 'Text', price: 1250, author: 5},
+                    {_id: 2, title: 'Second', price: 100}
+                ]))
+                .then(() => mongoose.model('Board').create({_id: 5, topics: [{title: 'news', secret: 'key'}]}));
+        }, () => mongoose.model('Note').remove()
+            .then(() => mongoose.model('User').remove())
+            .then(() => mongoose.model('Board').remove()));
+
+        it('should apply serializer options and transforms', done => {
+            request(app)
+                .get('/api/notes/1')
+                .expect(200, {id: 1, title: 'First', body: 'Text', price: 12.5, author: 5, label: 'FIRST'}, done);
+        });
+        it('should serialize created doc', done => {
+            request(app)
+                .post('/api/notes')
+                .send({_id: 3, title: 'Third', price: 100})
+                .expect(200, {id: 3, title: 'Third', price: 1, label: 'THIRD'})
+                .end(err => err ? done(err) : mongoose.model('Note').remove({_id: 3}).then(() => done()).catch(done));
+        });
+        it('should remove hidden fields of populated doc', done => {
+            request(app)
+                .get('/api/notes/1?populate=author')
+                .expect(200)
+                .expect(res => assert.deepEqual(res.body.author, {_id: 5, name: 'Author'}))
+                .end(done);
+        });
+        it('should pick fields of view', done => {
+            request(app)
+                .get('/api/notes?view=summary&sort=_id')
+                .expect(200, [{id: 1, title: 'First'}, {id: 2, title: 'Second'}], done);
+        });
+        it('should apply view to export', done => {
+            request(app)
+                .get('/api/notes?view=summary&format=ndjson&_id=1')
+                .expect(200, '{"id":1,"title":"First"}\n', done);
+        });
+        it('should respond 400 for unknown view', done => {
+            request(app)
+                .get('/api/notes?view=full')
+                .expect(400, done);
+        });
+        it('should serialize subdocuments with rule hidden fields', done => {
+            request(app)
+                .get('/api/boards/5/topics')
+                .expect(200)
+                .expect(res => assert.deepEqual(res.body.map(topic => [topic.title, topic.secret]), [['NEWS', undefined]]))
+                .end(err => err ? done(err) : request(app)
+                    .get('/api/boards/5/topics')
+                    .set('X-Admin', '1')
+                    .expect(res => assert.equal(res.body[0].secret, 'key'))
+                    .expect(200, done));
+        });
+        it('should serialize doc returned by exposed method', done => {
+            request(app)
+                .post('/api/notes/1/rename')
+                .send({title: 'Renamed'})
+                .expect(200)
+                .expect(res => assert.deepEqual([res.body.id, res.body.title, res.body.label, res.body._id], [1, 'Renamed', 'RENAMED', undefined]))
+                .end(err => err ? done(err) : mongoose.model('Note').update({_id: 1}, {title: 'First'}).then(() => done()).catch(done));
+        });
+    });
+
+    describe('Populate policy', function () {
+
+        const app = serve({errorHandler: true}, (restaman, app) => {
+            mongoose.model('Company', new mongoose.Schema({_id: Number, name: String, revenue: Number, public: Boolean}, {versionKey: false}));
+            mongoose.model('Member', new mongoose.Schema(
+                {_id: Number, name: String, email: String, company: {type: Number, ref: 'Company'}},
+                {versionKey: false}
+            ));
+            mongoose.model('Report', new mongoose.Schema(
+                {_id: Number, title: String, author: {type: Number, ref: 'Member'}, reviewers: [{type: Number, ref: 'Member'}]},
+                {versionKey: false}
+            ));
+            restaman.addModel('Company')
+                .hide('revenue')
+                .pre('find', (req, res, query) => query.filter.public = true)
+                .post('find', (req, res, docs) => docs.forEach(doc => doc.name += ' Inc'));
+            restaman.addModel('Member')
+                .queryPolicy({populatable: ['company']})
+                .hide('email', ctx => !ctx.req.get('X-Admin'))
+                .serializer({id: true});
+            restaman.addModel('Report').queryPolicy({populatable: {author: ['name'], reviewers: true}, populateDepth: 2});
+            app.use('/api', restaman.router());
+            return mongoose.model('Company').create([{_id: 1, name: 'Acme', revenue: 100, public: true}, {_id: 2, name: 'Shell', public: false}])
+                .then(() => mongoose.model('Member').create([
+                    {_id: 1, name: 'Ann', email: 'ann@example.com', company: 1},
+                    {_id: 2, name: 'Bob', email: 'bob@example.com', company: 2}
+                ]))
+                .then(() => mongoose.model('Report').create({_id: 1, title: 'Q1', author: 1, reviewers: [1, 2]}));
+        }, () => Promise.all(['Company', 'Member', 'Report'].map(name => mongoose.model(name).remove())));
+
+        it('should select allowed fields of populated docs', done => {
+            request(app)
+                .get('/api/reports/1?populate=author')
+                .expect(200)
+                .expect(res => assert.deepEqual(res.body.author, {id: 1, name: 'Ann'}))
+                .end(done);
+        });
+        it('should apply hooks and hidden fields of populated model', done => {
+            request(app)
+                .get('/api/reports')
+                .query({populate: JSON.stringify({path: 'reviewers', populate: {path: 'company'}})})
+                .expect(200)
+                .expect(res => {
+                    assert.deepEqual(res.body[0].reviewers[0].company, {_id: 1, name: 'Acme Inc', public: true});
+                    assert.strictEqual(res.body[0].reviewers[1].company, null);
+                })
+                .end(done);
+        });
+        it('should reject not allowed fields and options', done => {
+            request(app)
+                .get('/api/reports/1')
+                .query({populate: JSON.stringify({path: 'author', select: 'email'})})
+                .expect(400)
+                .end(err => err ? done(err) : request(app)
+                    .get('/api/reports/1')
+                    .query({populate: JSON.stringify({path: 'author', model: 'Company'})})
+                    .expect(400, done));
+        });
+        it('should apply rule hidden fields and serializer of populated model', done => {
+            request(app)
+                .get('/api/reports/1?populate=reviewers')
+                .expect(200)
+                .expect(res => assert.deepEqual(res.body.reviewers[0], {id: 1, name: 'Ann', company: 1}))
+                .end(err => err ? done(err) : request(app)
+                    .get('/api/reports/1?populate=reviewers')
+                    .set('X-Admin', '1')
+                    .expect(res => assert.equal(res.body.reviewers[0].email, 'ann@example.com'))
+                    .expect(200, done));
+        });
+        it('should reject selecting rule hidden fields of populated model', done => {
+            request(app)
+                .get('/api/reports/1')
+                .query({populate: JSON.stringify({path: 'reviewers', select: 'email'})})
+                .expect(400, done);
+        });
+        it('should keep allowed fields when select has exclusions only', done => {
+            request(app)
+                .get('/api/reports/1')
+                .query({populate: JSON.stringify({path: 'author', select: '-name'})})
+                .expect(200)
+                .expect(res => assert.deepEqual(res.body.author, {id: 1}))
+                .end(done);
+        });
+        it('should reject not populatable paths', done => {
+            request(app)
+                .get('/api/members?populate=company,email')
+                .expect(400)
+                .expect(res => assert.equal(res.body.errors[0].path, 'email'))
+                .end(done);
+        });
+        it('should limit populate depth', done => {
+            request(app)
+                .get('/api/members')
+                .query({populate: JSON.stringify({path: 'company', populate: 'owner'})})
+                .expect(400)
+                .end(err => err ? done(err) : request(app)
+                    .get('/api/reports')
+                    .query({populate: JSON.stringify({path: 'reviewers', populate: {path: 'company', populate: 'owner'}})})
+                    .expect(400, done));
+        });
+    });
+
+});